@@ -1,9 +1,101 @@
+import { createHash } from "node:crypto";
 import { promises as fs } from "node:fs";
 import path from "node:path";
+import { canonicalForm } from "../src/canonical.js";
+import { cluePattern } from "../src/cluePattern.js";
+import { ratePuzzle } from "../src/logicSolver.js";
+import { parsePuzzle, puzzleToString } from "../src/parsePuzzle.js";
+import { PACK_DIR, formatPack, packFileFor } from "../src/puzzlePacks.js";
+import { countSolutions } from "../src/solver.js";
+import {
+  findDuplicates,
+  formatReport,
+  validatePuzzleFile,
+} from "./validate-sudokus.js";
 
 const projectRoot = process.cwd();
 const sudokusDir = path.join(projectRoot, "public", "sudokus");
 const manifestPath = path.join(sudokusDir, "index.json");
+const packsDir = path.join(sudokusDir, PACK_DIR);
+const cachePath = path.join(projectRoot, ".cache", "sudoku-metadata.json");
+const cacheVersion = 3;
+const warnOnly = process.argv.includes("--warn-only");
+
+async function readCache() {
+  try {
+    const cache = JSON.parse(await fs.readFile(cachePath, "utf8"));
+    return cache.version === cacheVersion ? cache.entries : {};
+  } catch {
+    return {};
+  }
+}
+
+async function writeCache(entries) {
+  await fs.mkdir(path.dirname(cachePath), { recursive: true });
+  await fs.writeFile(
+    cachePath,
+    JSON.stringify({ version: cacheVersion, entries }),
+    "utf8"
+  );
+}
+
+function analyzePuzzle(text) {
+  const { rows, errors } = parsePuzzle(text);
+  const clues = rows.flat().filter((value) => value > 0).length;
+  if (errors.length > 0) return { clues, errors };
+
+  const { count, solutions, error: solveError } = countSolutions(rows, {
+    limit: 2,
+  });
+  const solutionHash = solutions.length
+    ? createHash("sha1")
+        .update(puzzleToString(solutions[0]))
+        .digest("hex")
+        .slice(0, 12)
+    : undefined;
+
+  const { error, score, hardest, usedBacktracking } = ratePuzzle(rows);
+  return {
+    clues,
+    errors: solveError ? [solveError] : [],
+    puzzle: puzzleToString(rows),
+    solvable: count > 0,
+    unique: count === 1,
+    solutionCount: count,
+    solutionHash,
+    canonical: canonicalForm(rows),
+    cluePattern: cluePattern(rows),
+    rating: error
+      ? undefined
+      : {
+          score,
+          hardest,
+          backtracking: usedBacktracking,
+        },
+  };
+}
+
+async function writePacks(puzzles) {
+  const packs = new Map();
+  puzzles.forEach((puzzle) => {
+    if (!puzzle.puzzle) return;
+    const file = packFileFor(puzzle.name);
+    if (!packs.has(file)) packs.set(file, []);
+    packs.get(file).push({ name: puzzle.name, puzzle: puzzle.puzzle });
+    puzzle.pack = file;
+  });
+
+  await fs.rm(packsDir, { recursive: true, force: true });
+  await fs.mkdir(packsDir, { recursive: true });
+  for (const [file, entries] of packs) {
+    await fs.writeFile(
+      path.join(sudokusDir, file),
+      formatPack(entries),
+      "utf8"
+    );
+  }
+  return packs.size;
+}
 
 async function run() {
   const entries = await fs.readdir(sudokusDir, { withFileTypes: true });
@@ -27,12 +119,59 @@ async function run() {
       return a.name.localeCompare(b.name);
     });
 
-  await fs.writeFile(manifestPath, `${JSON.stringify(puzzles, null, 2)}\n`, "utf8");
+  const cache = await readCache();
+  const nextCache = {};
+  const files = [];
+  for (const puzzle of puzzles) {
+    const text = await fs.readFile(path.join(sudokusDir, puzzle.file), "utf8");
+    const hash = createHash("sha1").update(text).digest("hex");
+    const metadata = cache[hash] ?? analyzePuzzle(text);
+    nextCache[hash] = metadata;
+    Object.assign(puzzle, metadata);
+    files.push({ puzzle, text, hash, metadata });
+  }
+  await writeCache(nextCache);
+
+  const duplicates = findDuplicates(
+    files.map(({ puzzle, hash }) => ({ file: puzzle.file, hash }))
+  );
+  const results = files.map(({ puzzle, text, metadata }) => {
+    const { errors, warnings } = validatePuzzleFile({
+      name: puzzle.name,
+      file: puzzle.file,
+      text,
+      rows: parsePuzzle(text).rows,
+      metadata,
+    });
+    const original = duplicates.get(puzzle.file);
+    if (original) {
+      errors.push(`Byte-identical duplicate of ${original}.`);
+    }
+    puzzle.errors = Array.from(new Set([...(puzzle.errors ?? []), ...errors]));
+    return { file: puzzle.file, errors, warnings };
+  });
+
+  const packCount = await writePacks(puzzles);
+  const manifest = puzzles.map(({ puzzle, ...entry }) => entry);
+  await fs.writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
   console.log(`Wrote ${puzzles.length} puzzle entries to ${manifestPath}`);
+  console.log(`Wrote ${packCount} puzzle packs to ${packsDir}`);
+
+  const report = formatReport(results);
+  console.log(report.text);
+  if (report.errorCount > 0) {
+    if (warnOnly) {
+      console.warn("Continuing because --warn-only was passed.");
+    } else {
+      console.error(
+        "Fix the puzzle errors above, or rerun with --warn-only to continue."
+      );
+      process.exitCode = 1;
+    }
+  }
 }
 
 run().catch((error) => {
   console.error("Failed to generate sudokus index:", error);
   process.exitCode = 1;
 });
-
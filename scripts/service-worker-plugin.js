@@ -0,0 +1,47 @@
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export default function serviceWorker({ source, precache = [] }) {
+  let root = "";
+  let publicDir = "";
+
+  return {
+    name: "sudoku-service-worker",
+    apply: "build",
+    enforce: "post",
+    configResolved(config) {
+      root = config.root;
+      publicDir = config.publicDir;
+    },
+    async generateBundle(_options, bundle) {
+      const hash = createHash("sha256");
+      const files = new Set(precache);
+
+      Object.values(bundle).forEach((output) => {
+        if (output.fileName.endsWith(".map")) return;
+        files.add(output.fileName);
+        hash.update(output.fileName);
+        hash.update(output.type === "chunk" ? output.code : output.source);
+      });
+      for (const file of precache) {
+        if (bundle[file]) continue;
+        hash.update(file);
+        hash.update(await fs.readFile(path.join(publicDir, file)));
+      }
+
+      const template = await fs.readFile(path.resolve(root, source), "utf8");
+      const version = hash.digest("hex").slice(0, 12);
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source: [
+          `const CACHE_VERSION = ${JSON.stringify(version)};`,
+          `const PRECACHE_URLS = ${JSON.stringify([...files], null, 2)};`,
+          "",
+          template,
+        ].join("\n"),
+      });
+    },
+  };
+}
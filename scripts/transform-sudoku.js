@@ -0,0 +1,79 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { importPuzzle } from "../src/importPuzzle.js";
+import { puzzleToString } from "../src/parsePuzzle.js";
+import {
+  applyPipeline,
+  compilePipeline,
+  formatPipeline,
+  invertSteps,
+  parsePipeline,
+} from "../src/transformPipeline.js";
+
+const usage = `Usage: node scripts/transform-sudoku.js <pipeline> <puzzle> [--inverse] [--line]
+
+  <pipeline>  Steps separated by ";", e.g. "shift 3; rows (1 2); transpose"
+  <puzzle>    A file path, a collection id, an 81-character string, or - for stdin
+  --inverse   Apply the inverse of the pipeline instead
+  --line      Print the result as one 81-character line`;
+
+const sudokusDir = path.join(process.cwd(), "public", "sudokus");
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+async function readPuzzleText(source) {
+  if (source === "-") return { text: await readStdin() };
+  if (/^[0-9.]{81}$/.test(source)) return { text: source };
+
+  const candidates = [source, path.join(sudokusDir, `${source}.txt`)];
+  for (const file of candidates) {
+    try {
+      return { text: await fs.readFile(file, "utf8"), fileName: file };
+    } catch {
+      continue;
+    }
+  }
+  throw new Error(`Could not find a puzzle at "${source}".`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const flags = new Set(args.filter((arg) => arg.startsWith("--")));
+  const [pipelineText, source] = args.filter((arg) => !arg.startsWith("--"));
+  if (!pipelineText || !source || flags.has("--help")) {
+    console.error(usage);
+    process.exitCode = 1;
+    return;
+  }
+
+  const parsed = parsePipeline(pipelineText);
+  if (parsed.error) throw new Error(parsed.error);
+
+  let steps = parsed.steps;
+  if (flags.has("--inverse")) {
+    const inverted = invertSteps(steps);
+    if (inverted.error) throw new Error(inverted.error);
+    steps = inverted.steps;
+    console.error(`Inverse pipeline: ${formatPipeline(steps)}`);
+  }
+
+  const { text, fileName } = await readPuzzleText(source);
+  const imported = importPuzzle(text, { fileName });
+  if (imported.errors.length) throw new Error(imported.errors.join(" "));
+
+  const result = applyPipeline(imported.rows, compilePipeline(steps).ops);
+  console.log(
+    flags.has("--line")
+      ? puzzleToString(result).replace(/0/g, ".")
+      : result.map((row) => row.join(" ")).join("\n")
+  );
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
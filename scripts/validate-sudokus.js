@@ -0,0 +1,123 @@
+import { UNITS, unitName } from "../src/grid.js";
+
+function checkStructure(text) {
+  const errors = [];
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0 && !line.startsWith("#"));
+
+  lines.forEach((line, index) => {
+    const invalid = line.match(/[^\d\s]/g);
+    if (invalid) {
+      const characters = Array.from(new Set(invalid)).join("");
+      errors.push(
+        `Row ${index + 1} contains non-digit characters: ${JSON.stringify(characters)}.`
+      );
+    }
+
+    const count = (line.match(/\d/g) || []).length;
+    if (count !== 9) {
+      errors.push(`Row ${index + 1} has ${count} values, expected 9.`);
+    }
+  });
+
+  if (lines.length !== 9) {
+    errors.push(`Puzzle has ${lines.length} rows, expected 9.`);
+  }
+
+  return errors;
+}
+
+function checkGivens(rows) {
+  const cells = rows.flat();
+  const errors = [];
+
+  UNITS.forEach((unit, index) => {
+    const seen = new Map();
+    unit.forEach((cell) => {
+      const digit = cells[cell];
+      if (!digit) return;
+      seen.set(digit, (seen.get(digit) || 0) + 1);
+    });
+    seen.forEach((count, digit) => {
+      if (count > 1) {
+        errors.push(
+          `Digit ${digit} appears ${count} times in ${unitName(index)}.`
+        );
+      }
+    });
+  });
+
+  return errors;
+}
+
+export function validatePuzzleFile({ name, file, text, rows, metadata }) {
+  const errors = checkStructure(text);
+  const warnings = [];
+
+  if (!/^\d+$/.test(name)) {
+    warnings.push(`File name "${file}" is not a numeric id.`);
+  }
+
+  if (errors.length === 0) {
+    errors.push(...checkGivens(rows));
+  }
+
+  if (errors.length === 0) {
+    if (metadata.solutionCount === 0) {
+      errors.push("Puzzle has no solution.");
+    } else if (metadata.solutionCount > 1) {
+      warnings.push("Puzzle has more than one solution.");
+    }
+  }
+
+  return { errors, warnings };
+}
+
+export function findDuplicates(files) {
+  const firstByHash = new Map();
+  const duplicates = new Map();
+
+  files.forEach(({ file, hash }) => {
+    const original = firstByHash.get(hash);
+    if (original) {
+      duplicates.set(file, original);
+    } else {
+      firstByHash.set(hash, file);
+    }
+  });
+
+  return duplicates;
+}
+
+export function formatReport(results) {
+  const flagged = results.filter(
+    ({ errors, warnings }) => errors.length > 0 || warnings.length > 0
+  );
+  const errorCount = results.reduce(
+    (sum, { errors }) => sum + errors.length,
+    0
+  );
+  const warningCount = results.reduce(
+    (sum, { warnings }) => sum + warnings.length,
+    0
+  );
+
+  const lines = flagged.flatMap(({ file, errors, warnings }) => [
+    `  ${file}`,
+    ...errors.map((message) => `    error: ${message}`),
+    ...warnings.map((message) => `    warning: ${message}`),
+  ]);
+
+  return {
+    errorCount,
+    warningCount,
+    text: [
+      `Validated ${results.length} puzzle files: ${errorCount} ${
+        errorCount === 1 ? "error" : "errors"
+      }, ${warningCount} ${warningCount === 1 ? "warning" : "warnings"}.`,
+      ...lines,
+    ].join("\n"),
+  };
+}
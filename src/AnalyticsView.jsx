@@ -0,0 +1,374 @@
+import React from "react";
+import GapsReport from "./GapsReport.jsx";
+import {
+  BIN_SIZES,
+  countInRange,
+  cumulativeCoverage,
+  densityRows,
+  histogram,
+  numericIds,
+  pickBinSize,
+} from "./idAnalytics.js";
+
+const chartWidth = 960;
+const chartHeight = 240;
+const margin = { top: 12, right: 16, bottom: 28, left: 56 };
+const plotWidth = chartWidth - margin.left - margin.right;
+const plotHeight = chartHeight - margin.top - margin.bottom;
+const densityColumns = 50;
+const maxBins = 2000;
+
+function describeRange(from, to) {
+  return from === to ? String(from) : `${from}–${to}`;
+}
+
+function axisTicks(from, to, count = 6) {
+  const step = (to - from) / (count - 1);
+  return Array.from(
+    new Set(
+      Array.from({ length: count }, (_, index) =>
+        Math.round(from + step * index)
+      )
+    )
+  );
+}
+
+function Histogram({ bins, onZoom, onSelectRange }) {
+  const svgRef = React.useRef(null);
+  const [drag, setDrag] = React.useState(null);
+  const maxCount = Math.max(1, ...bins.map((bin) => bin.count));
+  const barWidth = plotWidth / bins.length;
+
+  const binAt = (event) => {
+    const box = svgRef.current.getBoundingClientRect();
+    const x = ((event.clientX - box.left) / box.width) * chartWidth;
+    const index = Math.floor((x - margin.left) / barWidth);
+    return Math.min(bins.length - 1, Math.max(0, index));
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const index = binAt(event);
+    setDrag({ start: index, end: index });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drag) return;
+    const index = binAt(event);
+    setDrag((prev) => (prev ? { ...prev, end: index } : prev));
+  };
+
+  const handlePointerUp = () => {
+    if (!drag) return;
+    const first = Math.min(drag.start, drag.end);
+    const last = Math.max(drag.start, drag.end);
+    setDrag(null);
+    if (first === last) {
+      if (bins[first].count) onSelectRange(bins[first].from, bins[first].to);
+      return;
+    }
+    onZoom(bins[first].from, bins[last].to);
+  };
+
+  const selection = drag && {
+    first: Math.min(drag.start, drag.end),
+    last: Math.max(drag.start, drag.end),
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      className="analytics-chart analytics-histogram"
+      viewBox={`0 0 ${chartWidth} ${chartHeight}`}
+      role="img"
+      aria-label="Histogram of puzzle ids"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => setDrag(null)}
+    >
+      {axisTicks(0, maxCount, 5).map((tick) => {
+        const y = margin.top + plotHeight - (tick / maxCount) * plotHeight;
+        return (
+          <g key={tick}>
+            <line
+              className="analytics-grid-line"
+              x1={margin.left}
+              x2={chartWidth - margin.right}
+              y1={y}
+              y2={y}
+            />
+            <text x={margin.left - 6} y={y + 4} textAnchor="end">
+              {tick}
+            </text>
+          </g>
+        );
+      })}
+      {bins.map((bin, index) => {
+        const height = (bin.count / maxCount) * plotHeight;
+        const selected =
+          selection && index >= selection.first && index <= selection.last;
+        return (
+          <rect
+            key={bin.from}
+            className={`analytics-bar ${selected ? "selected" : ""}`}
+            x={margin.left + index * barWidth}
+            y={margin.top + plotHeight - height}
+            width={Math.max(barWidth - (barWidth > 3 ? 1 : 0), 0.5)}
+            height={height}
+          >
+            <title>
+              {describeRange(bin.from, bin.to)}: {bin.count} puzzles
+            </title>
+          </rect>
+        );
+      })}
+      <IdAxis from={bins[0].from} to={bins[bins.length - 1].to} />
+    </svg>
+  );
+}
+
+function IdAxis({ from, to }) {
+  const y = margin.top + plotHeight;
+  return (
+    <g>
+      <line
+        className="analytics-axis"
+        x1={margin.left}
+        x2={chartWidth - margin.right}
+        y1={y}
+        y2={y}
+      />
+      {axisTicks(from, to).map((tick, index, ticks) => (
+        <text
+          key={tick}
+          x={margin.left + ((tick - from) / Math.max(1, to - from)) * plotWidth}
+          y={y + 18}
+          textAnchor={
+            index === 0
+              ? "start"
+              : index === ticks.length - 1
+                ? "end"
+                : "middle"
+          }
+        >
+          {tick}
+        </text>
+      ))}
+    </g>
+  );
+}
+
+function CoverageChart({ points, total }) {
+  const barWidth = plotWidth / points.length;
+  const path = points
+    .map((point, index) => {
+      const x = margin.left + (index + 1) * barWidth;
+      const y = margin.top + plotHeight - point.share * plotHeight;
+      return `${index === 0 ? "M" : "L"}${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+  const startShare = points.length
+    ? (points[0].total - points[0].count) / Math.max(1, total)
+    : 0;
+  const startY = margin.top + plotHeight - startShare * plotHeight;
+
+  return (
+    <svg
+      className="analytics-chart"
+      viewBox={`0 0 ${chartWidth} ${chartHeight}`}
+      role="img"
+      aria-label="Cumulative coverage of puzzle ids"
+    >
+      {[0, 0.25, 0.5, 0.75, 1].map((share) => {
+        const y = margin.top + plotHeight - share * plotHeight;
+        return (
+          <g key={share}>
+            <line
+              className="analytics-grid-line"
+              x1={margin.left}
+              x2={chartWidth - margin.right}
+              y1={y}
+              y2={y}
+            />
+            <text x={margin.left - 6} y={y + 4} textAnchor="end">
+              {share * 100}%
+            </text>
+          </g>
+        );
+      })}
+      <path
+        className="analytics-line"
+        d={`M${margin.left},${startY.toFixed(1)} ${path.replace(/^M/, "L")}`}
+      />
+      <IdAxis from={points[0].from} to={points[points.length - 1].to} />
+    </svg>
+  );
+}
+
+function DensityMap({ rows, onSelectRange }) {
+  const cellWidth = plotWidth / densityColumns;
+  const cellHeight = 14;
+  const height = margin.top + rows.length * cellHeight + 8;
+
+  return (
+    <svg
+      className="analytics-chart"
+      viewBox={`0 0 ${chartWidth} ${height}`}
+      role="img"
+      aria-label="Density of puzzle ids"
+    >
+      {rows.map((row, rowIndex) => {
+        const y = margin.top + rowIndex * cellHeight;
+        return (
+          <g key={row.from}>
+            <text x={margin.left - 6} y={y + cellHeight - 3} textAnchor="end">
+              {row.from}
+            </text>
+            {row.cells.map((cell, cellIndex) => (
+              <rect
+                key={cell.from}
+                className={`analytics-density-cell ${
+                  cell.count ? "filled" : ""
+                }`}
+                x={margin.left + cellIndex * cellWidth}
+                y={y}
+                width={cellWidth - 1}
+                height={cellHeight - 1}
+                fillOpacity={
+                  cell.count ? 0.15 + 0.85 * Math.sqrt(cell.density) : 1
+                }
+                onClick={() => {
+                  if (cell.count) onSelectRange(cell.from, cell.to);
+                }}
+              >
+                <title>
+                  {describeRange(cell.from, cell.to)}: {cell.count} of{" "}
+                  {cell.to - cell.from + 1} ids (
+                  {(cell.density * 100).toFixed(cell.density < 0.1 ? 1 : 0)}%)
+                </title>
+              </rect>
+            ))}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export default function AnalyticsView({
+  entries,
+  contributeUrl,
+  onSelectRange,
+}) {
+  const ids = React.useMemo(() => numericIds(entries), [entries]);
+  const extent = ids.length ? { from: ids[0], to: ids[ids.length - 1] } : null;
+  const [zoom, setZoom] = React.useState(null);
+  const [binChoice, setBinChoice] = React.useState("auto");
+
+  if (!extent) {
+    return <p className="puzzle-meta">No numeric ids to chart yet.</p>;
+  }
+
+  const view = zoom ?? extent;
+  const span = view.to - view.from + 1;
+  const binOptions = BIN_SIZES.filter((size) => span / size <= maxBins);
+  const binSize =
+    binChoice !== "auto" && binOptions.includes(Number(binChoice))
+      ? Number(binChoice)
+      : pickBinSize(view.from, view.to);
+  const bins = histogram(ids, { ...view, binSize });
+  const coverage = cumulativeCoverage(ids, bins);
+  const cellSize =
+    BIN_SIZES.find((size) => span / (size * densityColumns) <= 40) ??
+    BIN_SIZES[BIN_SIZES.length - 1];
+  const density = densityRows(ids, {
+    ...view,
+    rowSize: cellSize * densityColumns,
+    cellSize,
+  });
+  const inView = countInRange(ids, view.from, view.to);
+
+  const zoomTo = (from, to) => {
+    const next = {
+      from: Math.max(extent.from, from),
+      to: Math.min(extent.to, to),
+    };
+    setZoom(next.from <= extent.from && next.to >= extent.to ? null : next);
+  };
+
+  const zoomOut = () => {
+    const centre = (view.from + view.to) / 2;
+    zoomTo(Math.floor(centre - span), Math.ceil(centre + span));
+  };
+
+  return (
+    <section className="analytics-view">
+      <div className="browse-controls">
+        <span className="stat">
+          Ids {describeRange(view.from, view.to)}: {inView} puzzles (
+          {((inView / span) * 100).toFixed(2)}% of the range)
+        </span>
+        <label className="contribute-link">
+          Bin size{" "}
+          <select
+            value={binChoice}
+            onChange={(event) => setBinChoice(event.target.value)}
+          >
+            <option value="auto">Auto ({binSize})</option>
+            {binOptions.map((size) => (
+              <option key={size} value={size}>
+                {size}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          className="solve-button"
+          type="button"
+          onClick={zoomOut}
+          disabled={!zoom}
+        >
+          Zoom out
+        </button>
+        <button
+          className="solve-button"
+          type="button"
+          onClick={() => setZoom(null)}
+          disabled={!zoom}
+        >
+          Reset zoom
+        </button>
+      </div>
+      <div className="analytics-panel">
+        <h3>Ids per bin</h3>
+        <p className="puzzle-meta">
+          Drag across bars to zoom in. Click a bar to browse those ids.
+        </p>
+        <Histogram bins={bins} onZoom={zoomTo} onSelectRange={onSelectRange} />
+      </div>
+      <div className="analytics-panel">
+        <h3>Cumulative coverage</h3>
+        <p className="puzzle-meta">
+          Share of the collection with an id at or below each point.
+        </p>
+        <CoverageChart points={coverage} total={ids.length} />
+      </div>
+      <div className="analytics-panel">
+        <h3>Density</h3>
+        <p className="puzzle-meta">
+          Each row spans {cellSize * densityColumns} ids in blocks of {cellSize}
+          ; darker blocks hold more puzzles. Click a block to browse it.
+        </p>
+        <DensityMap rows={density} onSelectRange={onSelectRange} />
+      </div>
+      <div className="analytics-panel">
+        <h3>Missing ids</h3>
+        <p className="puzzle-meta">
+          Holes between the lowest and highest ids, largest first.
+        </p>
+        <GapsReport ids={ids} contributeUrl={contributeUrl} />
+      </div>
+    </section>
+  );
+}
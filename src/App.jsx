@@ -1,114 +1,142 @@
 import React from "react";
+import AnalyticsView from "./AnalyticsView.jsx";
+import { DIFF_KINDS, hammingDistance } from "./boardDiff.js";
+import { canonicalForm } from "./canonical.js";
+import {
+  compileView,
+  createView,
+  describeView,
+  encodeView,
+  loadCustomViews,
+  resolveSharedView,
+  saveCustomViews,
+  slugifyViewName,
+} from "./customViews.js";
+import {
+  SEARCH_HELP,
+  parseSearchQuery,
+  scoreSearchEntry,
+} from "./contentSearch.js";
+import { UNITS } from "./grid.js";
+import {
+  findNearestIndex,
+  formatIdRange,
+  parseIdRange,
+} from "./idAnalytics.js";
+import IsomorphGroups from "./IsomorphGroups.jsx";
+import { SYMMETRY_GROUP_SIZE } from "./isomorphism.js";
+import ExportMenu from "./ExportMenu.jsx";
+import { TECHNIQUES } from "./logicSolver.js";
+import OfflineStatus from "./OfflineStatus.jsx";
+import OpenPuzzleDialog from "./OpenPuzzleDialog.jsx";
+import PlayBoard from "./PlayBoard.jsx";
+import SamePatternPanel from "./SamePatternPanel.jsx";
+import SimilarPanel from "./SimilarPanel.jsx";
+import {
+  parsePuzzle,
+  puzzleHash,
+  rowsFromPuzzleString,
+} from "./parsePuzzle.js";
+import { createPackLoader } from "./puzzlePacks.js";
+import SolveStepPlayer from "./SolveStepPlayer.jsx";
+import { toRows } from "./solver.js";
+import { createSolverClient } from "./solverClient.js";
+import SudokuGrid from "./SudokuGrid.jsx";
+import {
+  applyPipeline,
+  cloneBoard,
+  compilePipeline,
+  createStep,
+  formatCycleNotation,
+  formatPairs,
+  findBrokenUnits,
+  formatPipeline,
+  hasEffect,
+  parsePipeline,
+} from "./transformPipeline.js";
+import TransformSteps from "./TransformSteps.jsx";
+import TransformWarning from "./TransformWarning.jsx";
+import {
+  BUILTIN_VIEWS,
+  buildUrlHash,
+  historyKey,
+  readUrlState,
+} from "./urlState.js";
+import ViewBuilder from "./ViewBuilder.jsx";
+import VirtualPuzzleGrid from "./VirtualPuzzleGrid.jsx";
 
 const baseSudokuUrl = new URL(
   "sudokus/",
   new URL(import.meta.env.BASE_URL, window.location.href)
 );
+const contributeUrl =
+  "https://github.com/danicax/mrbeast_sudoku/tree/main/public/sudokus";
 
-function parsePuzzle(text) {
-  const lines = text
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter((line) => line.length > 0);
-
-  const rows = [];
-  const errors = [];
-
-  lines.forEach((line, index) => {
-    const digitChars = line.match(/\d/g) || [];
-    const groupedMatches = line.match(/\d+/g) || [];
-    const groupedNumbers = groupedMatches.map((value) =>
-      Number.parseInt(value, 10)
-    );
-    const numbers =
-      digitChars.length > 0 && digitChars.length <= 9
-        ? [
-            ...digitChars.map((value) => Number.parseInt(value, 10)),
-            ...Array.from({ length: 9 - digitChars.length }, () => 0),
-          ]
-        : groupedNumbers;
-
-    if (numbers.length === 0) {
-      return;
-    }
-
-    if (numbers.length !== 9) {
-      errors.push(`Row ${index + 1} has ${numbers.length} values, expected 9.`);
-    }
-
-    rows.push(numbers);
-  });
-
-  if (rows.length !== 9) {
-    errors.push(`Puzzle has ${rows.length} rows, expected 9.`);
+function describeVerdict(verdict) {
+  if (!verdict) return null;
+  if (verdict.count === 0) {
+    return { kind: "none", label: "No solution" };
+  }
+  if (verdict.count === 1) {
+    return { kind: "unique", label: "Unique" };
   }
+  return { kind: "multiple", label: `${verdict.limit}+ solutions` };
+}
 
+function manifestVerdict(entry) {
+  if (!Number.isInteger(entry?.solutionCount)) return undefined;
   return {
-    rows,
-    errors,
+    count: entry.solutionCount,
+    limit: 2,
+    solutions: [],
+    error: null,
   };
 }
 
-function SudokuGrid({
-  rows,
-  baseRows,
-  overlayRows,
-  highlightBorder,
-  highlightedMask,
-  onCellClick,
-}) {
-  const cells = [];
-
-  for (let rowIndex = 0; rowIndex < 9; rowIndex += 1) {
-    for (let colIndex = 0; colIndex < 9; colIndex += 1) {
-      const value = rows?.[rowIndex]?.[colIndex] ?? 0;
-      const baseValue = baseRows?.[rowIndex]?.[colIndex] ?? 0;
-      const overlayValue = overlayRows?.[rowIndex]?.[colIndex] ?? 0;
-      const classes = ["cell"];
+function puzzleFromEntry(entry) {
+  return {
+    ...entry,
+    rows: rowsFromPuzzleString(entry.puzzle),
+    errors: entry.errors ?? [],
+  };
+}
 
-      if (!value) {
-        classes.push("empty");
-      }
-      if (value && !baseValue) {
-        classes.push("solved");
-      }
+function VerdictBadge({ verdict }) {
+  const description = describeVerdict(verdict);
+  if (!description) return null;
+  return (
+    <span
+      className={`verdict-badge verdict-${description.kind}`}
+      title={verdict.error || undefined}
+    >
+      {description.label}
+    </span>
+  );
+}
 
-      if (rowIndex % 3 === 0) {
-        classes.push("thick-top");
-      }
-      if (colIndex % 3 === 0) {
-        classes.push("thick-left");
-      }
-      if (rowIndex === 8) {
-        classes.push("thick-bottom");
-      }
-      if (colIndex === 8) {
-        classes.push("thick-right");
-      }
-      if (highlightedMask?.[rowIndex]?.[colIndex]) {
-        classes.push("cell-linked-highlight");
+function RatingBadge({ rating }) {
+  if (!rating) return null;
+  return (
+    <span
+      className={`rating-badge ${rating.backtracking ? "rating-guess" : ""}`}
+      title={
+        rating.backtracking
+          ? "Logic stalls; the backtracker had to finish this puzzle."
+          : `Hardest technique: ${rating.hardest}`
       }
+    >
+      {rating.score.toFixed(1)} · {rating.hardest}
+    </span>
+  );
+}
 
-      cells.push(
-        <div
-          key={`${rowIndex}-${colIndex}`}
-          className={classes.join(" ")}
-          onClick={
-            onCellClick
-              ? () => onCellClick({ rowIndex, colIndex, value })
-              : undefined
-          }
-        >
-          {overlayRows && (
-            <span className="cell-corner">{overlayValue || ""}</span>
-          )}
-          <span className="cell-main">{value || ""}</span>
-        </div>
-      );
-    }
-  }
+function describeSearchScore(score) {
+  if (!score) return undefined;
+  return score === 1 ? "1 cell differs" : `${score} cells differ`;
+}
 
-  return <div className={`grid ${highlightBorder ? "grid-match" : ""}`}>{cells}</div>;
+function compareByRating(first, second) {
+  return (first.rating?.score ?? Infinity) - (second.rating?.score ?? Infinity);
 }
 
 function PuzzleCard({
@@ -119,6 +147,8 @@ function PuzzleCard({
   displayRows,
   baseRows,
   meta,
+  verdict,
+  equivalentCount,
 }) {
   return (
     <button
@@ -128,8 +158,18 @@ function PuzzleCard({
       type="button"
       onClick={onOpen}
     >
-      <h2 className="puzzle-title">{puzzle.name}</h2>
+      <div className="puzzle-card-heading">
+        <h2 className="puzzle-title">{puzzle.name}</h2>
+        <VerdictBadge verdict={verdict} />
+      </div>
+      <RatingBadge rating={puzzle.rating} />
       {meta && <p className="puzzle-meta">{meta}</p>}
+      {equivalentCount > 0 && (
+        <p className="puzzle-meta">
+          {equivalentCount} equivalent{" "}
+          {equivalentCount === 1 ? "puzzle" : "puzzles"}
+        </p>
+      )}
       <SudokuGrid rows={displayRows ?? puzzle.rows} baseRows={baseRows} />
       {puzzle.errors.length > 0 && (
         <div className="error">{puzzle.errors.join(" ")}</div>
@@ -138,372 +178,6 @@ function PuzzleCard({
   );
 }
 
-function isValid(board, row, col, value) {
-  for (let index = 0; index < 9; index += 1) {
-    if (board[row][index] === value) return false;
-    if (board[index][col] === value) return false;
-  }
-
-  const boxRow = Math.floor(row / 3) * 3;
-  const boxCol = Math.floor(col / 3) * 3;
-
-  for (let r = boxRow; r < boxRow + 3; r += 1) {
-    for (let c = boxCol; c < boxCol + 3; c += 1) {
-      if (board[r][c] === value) return false;
-    }
-  }
-
-  return true;
-}
-
-function solveBoard(board) {
-  for (let row = 0; row < 9; row += 1) {
-    for (let col = 0; col < 9; col += 1) {
-      if (board[row][col] === 0) {
-        for (let value = 1; value <= 9; value += 1) {
-          if (isValid(board, row, col, value)) {
-            board[row][col] = value;
-            if (solveBoard(board)) return true;
-            board[row][col] = 0;
-          }
-        }
-        return false;
-      }
-    }
-  }
-
-  return true;
-}
-
-function solveSudoku(rows) {
-  if (!Array.isArray(rows) || rows.length !== 9) {
-    return { solution: null, error: "Puzzle must have 9 rows." };
-  }
-
-  const board = rows.map((row) => row.slice());
-
-  for (let row = 0; row < 9; row += 1) {
-    if (!Array.isArray(board[row]) || board[row].length !== 9) {
-      return { solution: null, error: `Row ${row + 1} must have 9 values.` };
-    }
-
-    for (let col = 0; col < 9; col += 1) {
-      const value = board[row][col];
-      if (!Number.isFinite(value) || value < 0 || value > 9) {
-        return { solution: null, error: "Values must be numbers 0-9." };
-      }
-      if (value !== 0) {
-        board[row][col] = 0;
-        if (!isValid(board, row, col, value)) {
-          return { solution: null, error: "Puzzle has conflicting values." };
-        }
-        board[row][col] = value;
-      }
-    }
-  }
-
-  if (!solveBoard(board)) {
-    return { solution: null, error: "No solution found." };
-  }
-
-  return { solution: board, error: null };
-}
-
-function renderSolutionPng({ solution, baseRows, name }) {
-  if (!solution || solution.length !== 9) return;
-
-  const cellSize = 40;
-  const gridSize = cellSize * 9;
-  const margin = 16;
-  const canvasSize = gridSize + margin * 2;
-  const ratio = window.devicePixelRatio || 1;
-
-  const canvas = document.createElement("canvas");
-  canvas.width = canvasSize * ratio;
-  canvas.height = canvasSize * ratio;
-  canvas.style.width = `${canvasSize}px`;
-  canvas.style.height = `${canvasSize}px`;
-
-  const ctx = canvas.getContext("2d");
-  ctx.scale(ratio, ratio);
-  ctx.fillStyle = "#ffffff";
-  ctx.fillRect(0, 0, canvasSize, canvasSize);
-
-  ctx.translate(margin, margin);
-
-  ctx.fillStyle = "#111827";
-  ctx.textAlign = "center";
-  ctx.textBaseline = "middle";
-  ctx.font = "20px system-ui, -apple-system, sans-serif";
-
-  for (let row = 0; row < 9; row += 1) {
-    for (let col = 0; col < 9; col += 1) {
-      const value = solution[row][col];
-      const baseValue = baseRows?.[row]?.[col] ?? 0;
-      if (!value) continue;
-
-      ctx.fillStyle = baseValue ? "#111827" : "#1d4ed8";
-      ctx.fillText(
-        String(value),
-        col * cellSize + cellSize / 2,
-        row * cellSize + cellSize / 2
-      );
-    }
-  }
-
-  for (let i = 0; i <= 9; i += 1) {
-    const isThick = i % 3 === 0;
-    ctx.strokeStyle = "#111827";
-    ctx.lineWidth = isThick ? 2 : 1;
-
-    ctx.beginPath();
-    ctx.moveTo(0, i * cellSize);
-    ctx.lineTo(gridSize, i * cellSize);
-    ctx.stroke();
-
-    ctx.beginPath();
-    ctx.moveTo(i * cellSize, 0);
-    ctx.lineTo(i * cellSize, gridSize);
-    ctx.stroke();
-  }
-
-  const link = document.createElement("a");
-  link.download = `${name || "sudoku"}-solution.png`;
-  link.href = canvas.toDataURL("image/png");
-  link.click();
-}
-
-function cloneBoard(rows) {
-  return rows.map((row) => row.slice());
-}
-
-function applyShift(rows, shiftAmount) {
-  const normalizedShift = ((shiftAmount % 9) + 9) % 9;
-  if (!normalizedShift) return cloneBoard(rows);
-
-  return rows.map((row) =>
-    row.map((value) => {
-      if (!value) return 0;
-      return ((value - 1 + normalizedShift) % 9) + 1;
-    })
-  );
-}
-
-function applyManualMapping(rows, pairs) {
-  if (!pairs.length) return cloneBoard(rows);
-  const digitMap = new Map(pairs.map((pair) => [pair.from, pair.to]));
-  return rows.map((row) =>
-    row.map((value) => {
-      if (!value) return 0;
-      return digitMap.get(value) ?? value;
-    })
-  );
-}
-
-function applyRowMapping(rows, pairs) {
-  if (!pairs.length) return cloneBoard(rows);
-  const source = cloneBoard(rows);
-  const result = cloneBoard(rows);
-  pairs.forEach(({ from, to }) => {
-    result[to - 1] = source[from - 1].slice();
-  });
-  return result;
-}
-
-function applyColumnMapping(rows, pairs) {
-  if (!pairs.length) return cloneBoard(rows);
-  const source = cloneBoard(rows);
-  const result = cloneBoard(rows);
-  pairs.forEach(({ from, to }) => {
-    for (let row = 0; row < 9; row += 1) {
-      result[row][to - 1] = source[row][from - 1];
-    }
-  });
-  return result;
-}
-
-function rotateBoard(rows, degrees) {
-  const normalized = ((degrees % 360) + 360) % 360;
-  if (normalized === 0) return cloneBoard(rows);
-
-  const board = Array.from({ length: 9 }, () => Array(9).fill(0));
-
-  if (normalized === 90) {
-    for (let row = 0; row < 9; row += 1) {
-      for (let col = 0; col < 9; col += 1) {
-        board[row][col] = rows[8 - col][row];
-      }
-    }
-    return board;
-  }
-
-  if (normalized === 180) {
-    for (let row = 0; row < 9; row += 1) {
-      for (let col = 0; col < 9; col += 1) {
-        board[row][col] = rows[8 - row][8 - col];
-      }
-    }
-    return board;
-  }
-
-  for (let row = 0; row < 9; row += 1) {
-    for (let col = 0; col < 9; col += 1) {
-      board[row][col] = rows[col][8 - row];
-    }
-  }
-  return board;
-}
-
-function transposeBoard(rows) {
-  const board = Array.from({ length: 9 }, () => Array(9).fill(0));
-  for (let row = 0; row < 9; row += 1) {
-    for (let col = 0; col < 9; col += 1) {
-      board[row][col] = rows[col][row];
-    }
-  }
-  return board;
-}
-
-function flipBoard(rows, flipMode) {
-  if (flipMode === "none") return cloneBoard(rows);
-
-  if (flipMode === "horizontal") {
-    return rows.map((row) => row.slice().reverse());
-  }
-
-  return cloneBoard(rows).reverse();
-}
-
-function parsePairs(text) {
-  const trimmed = text.trim();
-  if (!trimmed) return { pairs: [], error: "" };
-
-  const chunks = trimmed
-    .split(",")
-    .map((chunk) => chunk.trim())
-    .filter(Boolean);
-
-  if (!chunks.length) {
-    return { pairs: [], error: "Use comma-separated pairs like 1 2,3-4." };
-  }
-
-  const pairs = [];
-  for (const chunk of chunks) {
-    const match = chunk.match(/^([1-9])(?:\s+|-)([1-9])$/);
-    if (!match) {
-      return {
-        pairs: [],
-        error: "Use comma-separated pairs like 1 2,3-4.",
-      };
-    }
-    pairs.push({
-      from: Number.parseInt(match[1], 10),
-      to: Number.parseInt(match[2], 10),
-    });
-  }
-
-  return { pairs, error: "" };
-}
-
-function parseCycleNotation(text) {
-  const trimmed = text.trim();
-  if (!trimmed) return { pairs: [], error: "" };
-
-  const cycles = [];
-  const cycleRegex = /\(([^)]+)\)/g;
-  let match = cycleRegex.exec(trimmed);
-
-  while (match) {
-    cycles.push(match[1]);
-    match = cycleRegex.exec(trimmed);
-  }
-
-  const errorMessage = "Use cycle notation like (1 2 3)(4 5).";
-  if (!cycles.length) {
-    return { pairs: [], error: errorMessage };
-  }
-
-  const leftover = trimmed.replace(cycleRegex, "").trim();
-  if (leftover.replace(/[,\s]/g, "") !== "") {
-    return { pairs: [], error: errorMessage };
-  }
-
-  const pairs = [];
-  for (const cycleText of cycles) {
-    const parts = cycleText.trim().split(/[\s,]+/).filter(Boolean);
-    if (!parts.length) {
-      return { pairs: [], error: errorMessage };
-    }
-
-    const values = [];
-    for (const part of parts) {
-      if (!/^[1-9]$/.test(part)) {
-        return { pairs: [], error: errorMessage };
-      }
-      values.push(Number.parseInt(part, 10));
-    }
-
-    if (values.length < 2) {
-      continue;
-    }
-
-    for (let index = 0; index < values.length; index += 1) {
-      pairs.push({
-        from: values[index],
-        to: values[(index + 1) % values.length],
-      });
-    }
-  }
-
-  return { pairs, error: "" };
-}
-
-function validatePermutationPairs(pairs) {
-  const fromSet = new Set();
-  const toSet = new Set();
-
-  for (const pair of pairs) {
-    if (fromSet.has(pair.from)) {
-      return "Each source index can only appear once.";
-    }
-    if (toSet.has(pair.to)) {
-      return "Each destination index can only appear once.";
-    }
-    fromSet.add(pair.from);
-    toSet.add(pair.to);
-  }
-
-  return "";
-}
-
-function applyBoardTransforms(rows, options) {
-  let board = cloneBoard(rows);
-
-  board = applyShift(board, options.shiftValue);
-  board = applyManualMapping(board, options.manualPairs);
-  board = applyRowMapping(board, options.rowPairs);
-  board = applyColumnMapping(board, options.colPairs);
-  board = rotateBoard(board, options.rotationDegrees);
-  if (options.useTranspose) {
-    board = transposeBoard(board);
-  }
-  board = flipBoard(board, options.flipMode);
-
-  return board;
-}
-
-function applySpatialTransforms(rows, options) {
-  let board = cloneBoard(rows);
-  board = applyRowMapping(board, options.rowPairs);
-  board = applyColumnMapping(board, options.colPairs);
-  board = rotateBoard(board, options.rotationDegrees);
-  if (options.useTranspose) {
-    board = transposeBoard(board);
-  }
-  board = flipBoard(board, options.flipMode);
-  return board;
-}
-
 function boardsAreEqual(first, second) {
   if (!first || !second || first.length !== 9 || second.length !== 9) return false;
   for (let row = 0; row < 9; row += 1) {
@@ -523,33 +197,252 @@ function buildValueMask(rows, targetValue) {
 }
 
 export default function App() {
+  const [initialUrlState] = React.useState(() =>
+    readUrlState(window.location.hash)
+  );
   const [manifest, setManifest] = React.useState([]);
   const [puzzles, setPuzzles] = React.useState([]);
   const [loading, setLoading] = React.useState(true);
-  const [activePuzzleName, setActivePuzzleName] = React.useState(null);
-  const [activeView, setActiveView] = React.useState("browse");
+  const [activePuzzleName, setActivePuzzleName] = React.useState(
+    initialUrlState.puzzle
+  );
+  const [customViews, setCustomViews] = React.useState(loadCustomViews);
+  const [sharedView, setSharedView] = React.useState(() =>
+    resolveSharedView(initialUrlState, customViews, BUILTIN_VIEWS)
+  );
+  const [activeView, setActiveView] = React.useState(
+    () => sharedView?.id ?? initialUrlState.view
+  );
+  const [viewEditor, setViewEditor] = React.useState(null);
   const [solutions, setSolutions] = React.useState({});
   const [solveErrors, setSolveErrors] = React.useState({});
-  const [searchTerm, setSearchTerm] = React.useState("");
-  const [useRegexSearch, setUseRegexSearch] = React.useState(false);
-  const [regexError, setRegexError] = React.useState("");
-  const [page, setPage] = React.useState(1);
+  const [solveStats, setSolveStats] = React.useState({});
+  const [solveProgress, setSolveProgress] = React.useState({});
+  const [verdicts, setVerdicts] = React.useState({});
+  const [logicResults, setLogicResults] = React.useState({});
+  const [showExplainer, setShowExplainer] = React.useState(false);
+  const [showPlay, setShowPlay] = React.useState(false);
+  const [showSamePattern, setShowSamePattern] = React.useState(false);
+  const [patternTolerance, setPatternTolerance] = React.useState(0);
+  const [patternResults, setPatternResults] = React.useState({});
+  const [showSimilar, setShowSimilar] = React.useState(false);
+  const [similarMetric, setSimilarMetric] = React.useState("givens");
+  const [similarLimit, setSimilarLimit] = React.useState(10);
+  const [similarResults, setSimilarResults] = React.useState({});
+  const [searchTerm, setSearchTerm] = React.useState(initialUrlState.q);
+  const [useRegexSearch, setUseRegexSearch] = React.useState(
+    initialUrlState.regex
+  );
+  const [sortOrder, setSortOrder] = React.useState(initialUrlState.sort);
+  const [techniqueFilter, setTechniqueFilter] = React.useState(
+    initialUrlState.technique
+  );
+  const [searchError, setSearchError] = React.useState("");
+  const [visibleRange, setVisibleRange] = React.useState({
+    start: 0,
+    end: 0,
+    firstVisible: 0,
+    lastVisible: 0,
+  });
+  const [scrollAnchor, setScrollAnchor] = React.useState(initialUrlState.at);
+  const [scrollRequest, setScrollRequest] = React.useState(null);
+  const [jumpInput, setJumpInput] = React.useState("");
+  const [jumpError, setJumpError] = React.useState("");
+  const [loadError, setLoadError] = React.useState("");
+  const [idRange, setIdRange] = React.useState(() =>
+    parseIdRange(initialUrlState.ids)
+  );
   const [showSolved, setShowSolved] = React.useState(false);
-  const [shiftInput, setShiftInput] = React.useState("0");
-  const [manualMapInput, setManualMapInput] = React.useState("");
-  const [rowMapInput, setRowMapInput] = React.useState("");
-  const [colMapInput, setColMapInput] = React.useState("");
-  const [rotationDegrees, setRotationDegrees] = React.useState("0");
-  const [useTranspose, setUseTranspose] = React.useState(false);
-  const [flipMode, setFlipMode] = React.useState("none");
+  const [transformSteps, setTransformSteps] = React.useState([]);
   const [compareInput, setCompareInput] = React.useState("");
   const [compareName, setCompareName] = React.useState("");
   const [compareLoading, setCompareLoading] = React.useState(false);
   const [compareError, setCompareError] = React.useState("");
+  const [showDiff, setShowDiff] = React.useState(false);
   const [selectedPrimaryValue, setSelectedPrimaryValue] = React.useState(null);
-  const pageSize = activeView === "solved_mod25" ? 18 : 60;
-  const maxSearchResults = 200;
+  const [mappingStatus, setMappingStatus] = React.useState(null);
+  const [showOpenDialog, setShowOpenDialog] = React.useState(false);
+  const [urlRevision, setUrlRevision] = React.useState(0);
+  const [, setCacheRevision] = React.useState(0);
+  const [packsLoading, setPacksLoading] = React.useState(false);
+  const [packLoader] = React.useState(() => createPackLoader(baseSudokuUrl));
+  const requestedPacksRef = React.useRef(new Set());
   const puzzleCacheRef = React.useRef(new Map());
+  const solverRef = React.useRef(null);
+  const solveJobsRef = React.useRef(new Map());
+  const restoredUrlStateRef = React.useRef(initialUrlState);
+  const pendingAnchorRef = React.useRef(initialUrlState.at);
+  const browseScrollRef = React.useRef(null);
+  const windowJobsRef = React.useRef({ autoSolve: false, names: new Set() });
+  const customViewsRef = React.useRef(customViews);
+  const lastHistoryKeyRef = React.useRef(historyKey(initialUrlState));
+
+  React.useEffect(() => {
+    const solver = createSolverClient();
+    const solveJobs = solveJobsRef.current;
+    solverRef.current = solver;
+    return () => {
+      solver.dispose();
+      solveJobs.clear();
+      solverRef.current = null;
+    };
+  }, []);
+
+  const startSolverJob = React.useCallback((key, rows, options, onResult) => {
+    const pending = solveJobsRef.current.get(key);
+    if (pending) return pending.promise;
+
+    const job = solverRef.current.solve(rows, options);
+    const promise = job.promise.then((result) => {
+      if (solveJobsRef.current.get(key)?.job === job) {
+        solveJobsRef.current.delete(key);
+      }
+      onResult(result);
+      return result;
+    });
+
+    solveJobsRef.current.set(key, { job, promise });
+    return promise;
+  }, []);
+
+  const cancelSolverJob = React.useCallback((key) => {
+    solveJobsRef.current.get(key)?.job.cancel();
+  }, []);
+
+  const requestSolve = React.useCallback(
+    (puzzle) => {
+      const key = `solve:${puzzle.name}`;
+      if (!solveJobsRef.current.has(key)) {
+        setSolveProgress((existing) => ({
+          ...existing,
+          [puzzle.name]: { nodes: 0, guesses: 0, elapsedMs: 0 },
+        }));
+      }
+
+      const onProgress = (stats) =>
+        setSolveProgress((existing) => ({ ...existing, [puzzle.name]: stats }));
+
+      return startSolverJob(key, puzzle.rows, { onProgress }, (result) => {
+        setSolveProgress((existing) => {
+          const next = { ...existing };
+          delete next[puzzle.name];
+          return next;
+        });
+        if (result.cancelled) return;
+
+        setSolutions((existing) => ({
+          ...existing,
+          [puzzle.name]: result.solution,
+        }));
+        setSolveErrors((existing) => ({
+          ...existing,
+          [puzzle.name]: result.error,
+        }));
+        setSolveStats((existing) => ({
+          ...existing,
+          [puzzle.name]: result.stats,
+        }));
+      });
+    },
+    [startSolverJob]
+  );
+
+  const requestVerdict = React.useCallback(
+    (puzzle) =>
+      startSolverJob(
+        `count:${puzzle.name}`,
+        puzzle.rows,
+        { mode: "count", limit: 2 },
+        (result) => {
+          if (result.cancelled) return;
+          setVerdicts((existing) => ({
+            ...existing,
+            [puzzle.name]: {
+              count: result.count,
+              limit: result.limit,
+              solutions: result.solutions,
+              error: result.error,
+            },
+          }));
+        }
+      ),
+    [startSolverJob]
+  );
+
+  const requestSteps = React.useCallback(
+    (puzzle) =>
+      startSolverJob(
+        `steps:${puzzle.name}`,
+        puzzle.rows,
+        { mode: "steps" },
+        (result) => {
+          if (result.cancelled) return;
+          setLogicResults((existing) => ({
+            ...existing,
+            [puzzle.name]: result,
+          }));
+        }
+      ),
+    [startSolverJob]
+  );
+
+  const requestSamePattern = React.useCallback(
+    (puzzle, tolerance, entries) => {
+      const key = `pattern:${puzzle.name}:${tolerance}`;
+      return startSolverJob(
+        key,
+        puzzle.rows,
+        {
+          mode: "pattern",
+          limit: tolerance,
+          entries: entries
+            .filter((entry) => entry.name !== puzzle.name)
+            .map(({ name, puzzle: cells, cluePattern }) => ({
+              name,
+              puzzle: cells,
+              cluePattern,
+            })),
+        },
+        (result) => {
+          if (result.cancelled) return;
+          setPatternResults((existing) => ({ ...existing, [key]: result }));
+        }
+      );
+    },
+    [startSolverJob]
+  );
+
+  const requestSimilar = React.useCallback(
+    (puzzle, metric, limit, entries) => {
+      const key = `similar:${puzzle.name}:${metric}:${limit}`;
+      return startSolverJob(
+        key,
+        puzzle.rows,
+        {
+          mode: "similar",
+          metric,
+          limit,
+          entries: entries
+            .filter((entry) => entry.name !== puzzle.name)
+            .map(({ name, puzzle: cells, canonical }) => ({
+              name,
+              puzzle: cells,
+              canonical,
+            })),
+        },
+        (result) => {
+          if (result.cancelled) return;
+          setSimilarResults((existing) => ({ ...existing, [key]: result }));
+        }
+      );
+    },
+    [startSolverJob]
+  );
+
+  const cancelSolve = React.useCallback(
+    (name) => cancelSolverJob(`solve:${name}`),
+    [cancelSolverJob]
+  );
 
   const searchConfig = React.useMemo(() => {
     const term = searchTerm.trim();
@@ -558,9 +451,14 @@ export default function App() {
     }
 
     if (!useRegexSearch) {
-      const lower = term.toLowerCase();
+      const { query, error } = parseSearchQuery(term);
+      if (error) {
+        return { predicate: () => false, error };
+      }
+      const score = (entry) => scoreSearchEntry(query, entry);
       return {
-        predicate: (entry) => entry.name.toLowerCase().includes(lower),
+        predicate: (entry) => score(entry) !== null,
+        score: query.hasContent ? score : null,
         error: "",
       };
     }
@@ -569,29 +467,159 @@ export default function App() {
       const regex = new RegExp(term, "i");
       return { predicate: (entry) => regex.test(entry.name), error: "" };
     } catch (error) {
-      return { predicate: () => false, error: String(error) };
+      return { predicate: () => false, error: `Regex error: ${error}` };
     }
   }, [searchTerm, useRegexSearch]);
 
   React.useEffect(() => {
-    setRegexError(searchConfig.error);
+    setSearchError(searchConfig.error);
   }, [searchConfig.error]);
 
-  const mod25Manifest = React.useMemo(() => {
-    return manifest.filter((entry) => {
-      const value = Number.parseInt(entry.name, 10);
-      return Number.isFinite(value) && value % 25 === 0;
+  const activeCustomView =
+    sharedView?.id === activeView
+      ? sharedView
+      : customViews.find((view) => view.id === activeView) ?? null;
+  const activeViewFilter = React.useMemo(
+    () => (activeCustomView ? compileView(activeCustomView) : null),
+    [activeCustomView]
+  );
+  const autoSolveView = Boolean(activeCustomView?.autoSolve);
+  const showSolutionView = Boolean(activeCustomView?.showSolution);
+
+  const viewManifest = React.useMemo(
+    () =>
+      activeViewFilter ? manifest.filter(activeViewFilter.predicate) : manifest,
+    [manifest, activeViewFilter]
+  );
+
+  React.useEffect(() => {
+    customViewsRef.current = customViews;
+    saveCustomViews(customViews);
+  }, [customViews]);
+
+  React.useEffect(() => {
+    if (!BUILTIN_VIEWS.includes(activeView) && !activeCustomView) {
+      setActiveView("browse");
+    }
+  }, [activeView, activeCustomView]);
+
+  const entriesByName = React.useMemo(
+    () => new Map(manifest.map((entry) => [entry.name, entry])),
+    [manifest]
+  );
+
+  const isomorphGroups = React.useMemo(() => {
+    const groups = new Map();
+    manifest.forEach((entry) => {
+      if (!entry.canonical) return;
+      if (!groups.has(entry.canonical)) groups.set(entry.canonical, []);
+      groups.get(entry.canonical).push(entry.name);
     });
+    return groups;
   }, [manifest]);
 
-  const viewManifest = activeView === "solved_mod25" ? mod25Manifest : manifest;
+  const visibleIsomorphGroups = React.useMemo(() => {
+    return Array.from(isomorphGroups, ([canonical, names]) => ({
+      canonical,
+      names,
+    }))
+      .filter(
+        ({ names }) =>
+          names.length > 1 &&
+          names.some((name) => searchConfig.predicate(entriesByName.get(name)))
+      )
+      .sort((first, second) => second.names.length - first.names.length);
+  }, [isomorphGroups, entriesByName, searchConfig]);
+
+  const searchScores = React.useMemo(() => {
+    if (!searchConfig.score) return null;
+    const scores = new Map();
+    viewManifest.forEach((entry) => {
+      const score = searchConfig.score(entry);
+      if (score !== null) scores.set(entry.name, score);
+    });
+    return scores;
+  }, [viewManifest, searchConfig]);
 
   const filteredManifest = React.useMemo(() => {
-    return viewManifest.filter((entry) => searchConfig.predicate(entry));
-  }, [viewManifest, searchConfig]);
+    const matches = viewManifest.filter(
+      (entry) =>
+        (searchScores
+          ? searchScores.has(entry.name)
+          : searchConfig.predicate(entry)) &&
+        (!techniqueFilter || entry.rating?.hardest === techniqueFilter) &&
+        (!idRange ||
+          (Number(entry.name) >= idRange.from &&
+            Number(entry.name) <= idRange.to))
+    );
+
+    if (sortOrder === "easiest") {
+      matches.sort(compareByRating);
+    } else if (sortOrder === "hardest") {
+      matches.sort((first, second) => compareByRating(second, first));
+    }
+    if (searchScores) {
+      matches.sort(
+        (first, second) =>
+          searchScores.get(first.name) - searchScores.get(second.name)
+      );
+    }
+    return matches;
+  }, [
+    viewManifest,
+    searchConfig,
+    searchScores,
+    techniqueFilter,
+    idRange,
+    sortOrder,
+  ]);
+
+  const allPuzzlesLoaded = React.useMemo(
+    () => manifest.every((entry) => entry.puzzle || !entry.pack),
+    [manifest]
+  );
+  const needsAllPuzzles =
+    Boolean(searchConfig.score) || showSamePattern || showSimilar;
+
+  React.useEffect(() => {
+    if (!needsAllPuzzles || allPuzzlesLoaded) return;
+    const files = Array.from(
+      new Set(
+        manifest
+          .filter(
+            (entry) =>
+              !entry.puzzle &&
+              entry.pack &&
+              !requestedPacksRef.current.has(entry.pack)
+          )
+          .map((entry) => entry.pack)
+      )
+    );
+    if (!files.length) return;
+    files.forEach((file) => requestedPacksRef.current.add(file));
+
+    setPacksLoading(true);
+    Promise.all(files.map((file) => packLoader.load(file)))
+      .then((packs) => {
+        const puzzles = new Map(packs.flatMap((pack) => Array.from(pack)));
+        setManifest((existing) =>
+          existing.map((entry) =>
+            !entry.puzzle && puzzles.has(entry.name)
+              ? { ...entry, puzzle: puzzles.get(entry.name) }
+              : entry
+          )
+        );
+      })
+      .catch((error) => {
+        files.forEach((file) => requestedPacksRef.current.delete(file));
+        setSearchError(String(error));
+      })
+      .finally(() => setPacksLoading(false));
+  }, [needsAllPuzzles, allPuzzlesLoaded, manifest, packLoader]);
 
   const isSearching = searchTerm.trim().length > 0;
-  const totalPages = Math.max(1, Math.ceil(filteredManifest.length / pageSize));
+  const hidesGridControls =
+    activeView === "isomorphs" || activeView === "analytics";
 
   React.useEffect(() => {
     let alive = true;
@@ -609,13 +637,7 @@ export default function App() {
       } catch (error) {
         if (alive) {
           setManifest([]);
-          setPuzzles([
-            {
-              name: "Load error",
-              rows: [],
-              errors: [String(error)],
-            },
-          ]);
+          setLoadError(String(error));
         }
       } finally {
         if (alive) {
@@ -631,83 +653,226 @@ export default function App() {
     };
   }, []);
 
+  const loadPuzzleEntry = React.useCallback(async (entry) => {
+    const cached = puzzleCacheRef.current.get(entry.name);
+    if (cached) return cached;
+    if (entry.puzzle) {
+      const result = puzzleFromEntry(entry);
+      puzzleCacheRef.current.set(entry.name, result);
+      return result;
+    }
+    if (entry.pack) {
+      const puzzle = (await packLoader.load(entry.pack)).get(entry.name);
+      if (puzzle) {
+        const result = puzzleFromEntry({ ...entry, puzzle });
+        puzzleCacheRef.current.set(entry.name, result);
+        return result;
+      }
+    }
+    const response = await fetch(new URL(entry.file, baseSudokuUrl));
+    const text = await response.text();
+    const parsed = parsePuzzle(text);
+    const result = { ...entry, ...parsed };
+    puzzleCacheRef.current.set(entry.name, result);
+    return result;
+  }, [packLoader]);
+
   React.useEffect(() => {
     let alive = true;
 
-    async function loadPagePuzzles() {
-      if (!viewManifest.length) return;
-      setLoading(true);
-
-      const safePage = Math.min(page, totalPages);
-      if (safePage !== page) {
-        setPage(safePage);
+    async function loadVisiblePuzzles() {
+      if (hidesGridControls) {
+        setPuzzles([]);
+        return;
       }
-
-      const entries = isSearching
-        ? filteredManifest.slice(0, maxSearchResults)
-        : filteredManifest.slice(
-            (safePage - 1) * pageSize,
-            safePage * pageSize
-          );
-
-      const loaded = await Promise.all(
-        entries.map(async (entry) => {
-          const cached = puzzleCacheRef.current.get(entry.name);
-          if (cached) return cached;
-          const response = await fetch(new URL(entry.file, baseSudokuUrl));
-          const text = await response.text();
-          const parsed = parsePuzzle(text);
-          const result = { ...entry, ...parsed };
-          puzzleCacheRef.current.set(entry.name, result);
-          return result;
-        })
+      const entries = filteredManifest.slice(
+        visibleRange.start,
+        visibleRange.end
       );
+      const loaded = await Promise.all(entries.map(loadPuzzleEntry));
 
       if (alive) {
         setPuzzles(loaded);
-        setLoading(false);
+        setLoadError("");
       }
     }
 
-    loadPagePuzzles().catch((error) => {
-      if (alive) {
-        setPuzzles([
-          {
-            name: "Load error",
-            rows: [],
-            errors: [String(error)],
-          },
-        ]);
-        setLoading(false);
-      }
+    loadVisiblePuzzles().catch((error) => {
+      if (alive) setLoadError(String(error));
     });
 
     return () => {
       alive = false;
     };
-  }, [viewManifest.length, page, totalPages, isSearching, filteredManifest]);
+  }, [
+    hidesGridControls,
+    visibleRange.start,
+    visibleRange.end,
+    filteredManifest,
+    loadPuzzleEntry,
+  ]);
+
+  React.useEffect(() => {
+    const name =
+      visibleRange.firstVisible > 0
+        ? filteredManifest[visibleRange.firstVisible]?.name
+        : "";
+    if (hidesGridControls || pendingAnchorRef.current || name === undefined) {
+      return undefined;
+    }
+    const timer = window.setTimeout(() => setScrollAnchor(name), 250);
+    return () => window.clearTimeout(timer);
+  }, [hidesGridControls, visibleRange.firstVisible, filteredManifest]);
+
+  React.useEffect(() => {
+    const anchor = pendingAnchorRef.current;
+    if (!anchor || hidesGridControls || !filteredManifest.length) return;
+    pendingAnchorRef.current = "";
+    if (!activePuzzleName && browseScrollRef.current !== null) return;
+    browseScrollRef.current = null;
+    const index = findNearestIndex(filteredManifest, anchor);
+    if (index > 0) setScrollRequest({ index });
+  }, [hidesGridControls, filteredManifest, activePuzzleName]);
+
+  React.useEffect(() => {
+    if (activePuzzleName) {
+      if (browseScrollRef.current === null) {
+        browseScrollRef.current = window.scrollY;
+      }
+      return;
+    }
+    if (browseScrollRef.current === null) return;
+    window.scrollTo({ top: browseScrollRef.current });
+    browseScrollRef.current = null;
+  }, [activePuzzleName]);
+
+  React.useEffect(() => {
+    if (restoredUrlStateRef.current) return;
+
+    const hash = buildUrlHash({
+      view: activeView,
+      at: hidesGridControls ? "" : scrollAnchor,
+      q: searchTerm,
+      regex: useRegexSearch,
+      sort: sortOrder,
+      technique: techniqueFilter,
+      ids: formatIdRange(idRange),
+      puzzle: puzzleCacheRef.current.get(activePuzzleName)?.adHoc
+        ? null
+        : activePuzzleName,
+      compare: compareName,
+      transform: formatPipeline(transformSteps),
+      viewdef: activeCustomView ? encodeView(activeCustomView) : "",
+    });
+    const nextKey = historyKey({
+      view: activeView,
+      puzzle: activePuzzleName,
+    });
+    const previousKey = lastHistoryKeyRef.current;
+    lastHistoryKeyRef.current = nextKey;
+    if (hash === window.location.hash) return;
+
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (previousKey !== nextKey) {
+      window.history.pushState(null, "", url);
+    } else {
+      window.history.replaceState(null, "", url);
+    }
+  }, [
+    activeView,
+    activeCustomView,
+    hidesGridControls,
+    scrollAnchor,
+    searchTerm,
+    useRegexSearch,
+    sortOrder,
+    techniqueFilter,
+    idRange,
+    activePuzzleName,
+    compareName,
+    transformSteps,
+  ]);
 
   React.useEffect(() => {
-    setShowSolved(activeView === "solved_mod25");
-    setShiftInput("0");
-    setManualMapInput("");
-    setRowMapInput("");
-    setColMapInput("");
-    setRotationDegrees("0");
-    setUseTranspose(false);
-    setFlipMode("none");
-    setCompareInput("");
-    setCompareName("");
+    const restored = restoredUrlStateRef.current;
+    restoredUrlStateRef.current = null;
+    const modal = restored ?? {};
+
+    setShowSolved(showSolutionView);
+    setShowExplainer(false);
+    setShowPlay(false);
+    setShowSamePattern(false);
+    setShowSimilar(false);
+    setTransformSteps(parsePipeline(modal.transform ?? "").steps ?? []);
+    setCompareInput(modal.compare ?? "");
+    setCompareName(modal.compare ?? "");
     setCompareError("");
     setCompareLoading(false);
     setSelectedPrimaryValue(null);
-  }, [activePuzzleName, activeView]);
+    setMappingStatus(null);
+  }, [activePuzzleName, activeView, showSolutionView, urlRevision]);
+
+  React.useEffect(() => {
+    const handlePopState = () => {
+      const state = readUrlState(window.location.hash);
+      restoredUrlStateRef.current = state;
+      lastHistoryKeyRef.current = historyKey(state);
+      const shared = resolveSharedView(
+        state,
+        customViewsRef.current,
+        BUILTIN_VIEWS
+      );
+      if (shared) setSharedView(shared);
+      setActiveView(shared?.id ?? state.view);
+      pendingAnchorRef.current = state.at;
+      setScrollAnchor(state.at);
+      setSearchTerm(state.q);
+      setUseRegexSearch(state.regex);
+      setSortOrder(state.sort);
+      setTechniqueFilter(state.technique);
+      setIdRange(parseIdRange(state.ids));
+      setActivePuzzleName(state.puzzle);
+      setUrlRevision((prev) => prev + 1);
+    };
+
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
 
   React.useEffect(() => {
-    setPage(1);
-  }, [activeView]);
+    const missing = [activePuzzleName, compareName]
+      .filter((name) => name && !puzzleCacheRef.current.has(name))
+      .map((name) => manifest.find((entry) => entry.name === name))
+      .filter(Boolean);
+    if (!missing.length) return undefined;
+
+    let alive = true;
+    Promise.all(missing.map(loadPuzzleEntry))
+      .then(() => {
+        if (alive) setCacheRevision((prev) => prev + 1);
+      })
+      .catch((error) => {
+        if (alive) setCompareError(String(error));
+      });
+    return () => {
+      alive = false;
+    };
+  }, [manifest, activePuzzleName, compareName, loadPuzzleEntry]);
 
   const uniquePuzzleCount = manifest.length;
+  const manifestStats = React.useMemo(() => {
+    const described = manifest.filter((entry) => entry.clues !== undefined);
+    return {
+      uniqueSolutions: manifest.filter((entry) => entry.unique).length,
+      invalid: manifest.filter(
+        (entry) => entry.errors?.length > 0 || entry.solvable === false
+      ).length,
+      averageClues: described.length
+        ? described.reduce((sum, entry) => sum + entry.clues, 0) /
+          described.length
+        : null,
+    };
+  }, [manifest]);
 
   const puzzleNames = manifest.map((puzzle) => puzzle.name);
   const numericNames = puzzleNames
@@ -732,6 +897,22 @@ export default function App() {
   const activeSolveError = activePuzzle
     ? solveErrors[activePuzzle.name]
     : undefined;
+  const activeSolveStats = activePuzzle
+    ? solveStats[activePuzzle.name]
+    : undefined;
+  const activeSolveProgress = activePuzzle
+    ? solveProgress[activePuzzle.name]
+    : undefined;
+  const getVerdict = (puzzle) =>
+    verdicts[puzzle.name] ?? manifestVerdict(puzzle);
+  const activeVerdict = activePuzzle ? getVerdict(activePuzzle) : undefined;
+  const alternateSolutionsMask = React.useMemo(() => {
+    if (!activeVerdict || activeVerdict.solutions.length < 2) return null;
+    const [first, second] = activeVerdict.solutions;
+    return first.map((row, rowIndex) =>
+      row.map((value, colIndex) => value !== second[rowIndex][colIndex])
+    );
+  }, [activeVerdict]);
   const comparePuzzle = compareName ? puzzleCacheRef.current.get(compareName) : null;
   const compareSolution =
     comparePuzzle && solutions[comparePuzzle.name]
@@ -741,82 +922,70 @@ export default function App() {
     comparePuzzle && solveErrors[comparePuzzle.name]
       ? solveErrors[comparePuzzle.name]
       : undefined;
-  const shiftValue = Number.parseInt(shiftInput, 10) || 0;
-
-  const parsedManualMapping = React.useMemo(
-    () => parsePairs(manualMapInput),
-    [manualMapInput]
-  );
-  const parsedRowMapping = React.useMemo(
-    () => parseCycleNotation(rowMapInput),
-    [rowMapInput]
+  const compiledTransform = React.useMemo(
+    () => compilePipeline(transformSteps),
+    [transformSteps]
   );
-  const parsedColMapping = React.useMemo(
-    () => parseCycleNotation(colMapInput),
-    [colMapInput]
-  );
-
-  const rowMapError = parsedRowMapping.error
-    ? parsedRowMapping.error
-    : validatePermutationPairs(parsedRowMapping.pairs);
-  const colMapError = parsedColMapping.error
-    ? parsedColMapping.error
-    : validatePermutationPairs(parsedColMapping.pairs);
 
   const baseDisplayRows =
     activePuzzle && showSolved && activeSolution ? activeSolution : activePuzzle?.rows;
   const canApplyTransforms =
     activePuzzle &&
     activePuzzle.errors.length === 0 &&
-    !parsedManualMapping.error &&
-    !rowMapError &&
-    !colMapError;
-  const hasActiveTransforms =
-    shiftValue !== 0 ||
-    parsedManualMapping.pairs.length > 0 ||
-    parsedRowMapping.pairs.length > 0 ||
-    parsedColMapping.pairs.length > 0 ||
-    (Number.parseInt(rotationDegrees, 10) || 0) !== 0 ||
-    useTranspose ||
-    flipMode !== "none";
-
-  const transformOptions = React.useMemo(
-    () => ({
-      shiftValue,
-      manualPairs: parsedManualMapping.pairs,
-      rowPairs: parsedRowMapping.pairs,
-      colPairs: parsedColMapping.pairs,
-      rotationDegrees: Number.parseInt(rotationDegrees, 10) || 0,
-      useTranspose,
-      flipMode,
-    }),
-    [
-      shiftValue,
-      parsedManualMapping.pairs,
-      parsedRowMapping.pairs,
-      parsedColMapping.pairs,
-      rotationDegrees,
-      useTranspose,
-      flipMode,
-    ]
-  );
+    !compiledTransform.error;
+  const hasActiveTransforms = hasEffect(compiledTransform.ops);
 
   const transformedRows = React.useMemo(() => {
     if (!baseDisplayRows) return [];
     if (!canApplyTransforms) return cloneBoard(baseDisplayRows);
-    return applyBoardTransforms(baseDisplayRows, transformOptions);
-  }, [baseDisplayRows, canApplyTransforms, transformOptions]);
+    return applyPipeline(baseDisplayRows, compiledTransform.ops);
+  }, [baseDisplayRows, canApplyTransforms, compiledTransform]);
 
   const transformedBaseRows = React.useMemo(() => {
     if (!activePuzzle) return [];
     if (!canApplyTransforms) return cloneBoard(activePuzzle.rows);
-    return applyBoardTransforms(activePuzzle.rows, transformOptions);
-  }, [activePuzzle, canApplyTransforms, transformOptions]);
+    return applyPipeline(activePuzzle.rows, compiledTransform.ops);
+  }, [activePuzzle, canApplyTransforms, compiledTransform]);
 
   const transformedOriginalOverlayRows = React.useMemo(() => {
     if (!baseDisplayRows || !hasActiveTransforms) return undefined;
-    return applySpatialTransforms(baseDisplayRows, transformOptions);
-  }, [baseDisplayRows, hasActiveTransforms, transformOptions]);
+    return applyPipeline(baseDisplayRows, compiledTransform.ops, {
+      spatialOnly: true,
+    });
+  }, [baseDisplayRows, hasActiveTransforms, compiledTransform]);
+  const transformConflicts = React.useMemo(() => {
+    if (!canApplyTransforms || !hasActiveTransforms) return null;
+    if (findBrokenUnits(baseDisplayRows).units.length) return null;
+    const broken = findBrokenUnits(transformedRows);
+    return broken.units.length ? broken : null;
+  }, [canApplyTransforms, hasActiveTransforms, baseDisplayRows, transformedRows]);
+  const transformConflictClassNames = React.useMemo(() => {
+    if (!transformConflicts) return undefined;
+    const inBrokenUnit = new Set(
+      transformConflicts.units.flatMap((unit) => UNITS[unit])
+    );
+    return toRows(
+      transformConflicts.conflicts.map((conflict, cell) => {
+        if (conflict) return "cell-conflict cell-unit-broken";
+        return inBrokenUnit.has(cell) ? "cell-unit-broken" : "";
+      })
+    );
+  }, [transformConflicts]);
+  const boxBreakingSteps = transformSteps.filter(
+    (_, index) => compiledTransform.warnings[index]
+  );
+  const diffActive = showDiff && Boolean(comparePuzzle);
+  const transformedSolution = React.useMemo(() => {
+    if (!diffActive || !activeSolution || !canApplyTransforms) return null;
+    return applyPipeline(activeSolution, compiledTransform.ops);
+  }, [diffActive, activeSolution, canApplyTransforms, compiledTransform]);
+  const givensDistance = diffActive
+    ? hammingDistance(transformedBaseRows, comparePuzzle.rows)
+    : null;
+  const solutionsDistance = hammingDistance(
+    transformedSolution,
+    compareSolution
+  );
   const linkedHighlightMask = React.useMemo(
     () => buildValueMask(transformedRows, selectedPrimaryValue),
     [transformedRows, selectedPrimaryValue]
@@ -834,21 +1003,75 @@ export default function App() {
   const handleToggleShowSolved = () => {
     if (!activePuzzle) return;
 
-    setShowSolved((prev) => {
-      const next = !prev;
-      if (next && !solutions[activePuzzle.name]) {
-        const { solution, error } = solveSudoku(activePuzzle.rows);
-        setSolutions((existing) => ({
-          ...existing,
-          [activePuzzle.name]: solution,
-        }));
-        setSolveErrors((existing) => ({
-          ...existing,
-          [activePuzzle.name]: error,
-        }));
-      }
-      return next;
-    });
+    const next = !showSolved;
+    setShowSolved(next);
+    if (next && !solutions[activePuzzle.name]) {
+      requestSolve(activePuzzle);
+    }
+  };
+
+  const handleToggleExplainer = () => {
+    if (!activePuzzle) return;
+
+    const next = !showExplainer;
+    setShowExplainer(next);
+    if (next && !logicResults[activePuzzle.name]) {
+      requestSteps(activePuzzle);
+    }
+  };
+
+  const activePatternKey = activePuzzle
+    ? `pattern:${activePuzzle.name}:${patternTolerance}`
+    : "";
+
+  React.useEffect(() => {
+    if (!showSamePattern || !activePuzzle || !manifest.length) return;
+    if (!allPuzzlesLoaded) return;
+    if (patternResults[activePatternKey]) return;
+    requestSamePattern(activePuzzle, patternTolerance, manifest);
+  }, [
+    showSamePattern,
+    activePuzzle,
+    activePatternKey,
+    patternTolerance,
+    patternResults,
+    manifest,
+    allPuzzlesLoaded,
+    requestSamePattern,
+  ]);
+
+  const activeSimilarKey = activePuzzle
+    ? `similar:${activePuzzle.name}:${similarMetric}:${similarLimit}`
+    : "";
+
+  React.useEffect(() => {
+    if (!showSimilar || !activePuzzle || !manifest.length) return;
+    if (!allPuzzlesLoaded) return;
+    if (similarResults[activeSimilarKey]) return;
+    requestSimilar(activePuzzle, similarMetric, similarLimit, manifest);
+  }, [
+    showSimilar,
+    activePuzzle,
+    activeSimilarKey,
+    similarMetric,
+    similarLimit,
+    similarResults,
+    manifest,
+    allPuzzlesLoaded,
+    requestSimilar,
+  ]);
+
+  const requestActiveSolution = React.useCallback(() => {
+    if (activePuzzle) requestSolve(activePuzzle);
+  }, [activePuzzle, requestSolve]);
+
+  const handleCancelSolve = () => {
+    if (!activePuzzle) return;
+    cancelSolve(activePuzzle.name);
+    setSolveErrors((existing) => ({
+      ...existing,
+      [activePuzzle.name]: "Solve cancelled.",
+    }));
   };
 
   const handlePrimaryCellClick = ({ value }) => {
@@ -860,115 +1083,261 @@ export default function App() {
   };
 
   React.useEffect(() => {
-    if (!showSolved || !comparePuzzle || solutions[comparePuzzle.name]) return;
-    const { solution, error } = solveSudoku(comparePuzzle.rows);
-    setSolutions((existing) => ({
-      ...existing,
-      [comparePuzzle.name]: solution,
-    }));
-    setSolveErrors((existing) => ({
-      ...existing,
-      [comparePuzzle.name]: error,
-    }));
-  }, [showSolved, comparePuzzle, solutions]);
+    if (!diffActive) return;
+    [activePuzzle, comparePuzzle].forEach((puzzle) => {
+      if (puzzle.errors.length > 0) return;
+      if (solutions[puzzle.name] || solveErrors[puzzle.name]) return;
+      requestSolve(puzzle);
+    });
+  }, [
+    diffActive,
+    activePuzzle,
+    comparePuzzle,
+    solutions,
+    solveErrors,
+    requestSolve,
+  ]);
 
   React.useEffect(() => {
-    if (activeView !== "solved_mod25") return;
-    if (!puzzles.length) return;
+    if (!showSolved || !comparePuzzle) return;
+    if (solutions[comparePuzzle.name] || solveErrors[comparePuzzle.name]) return;
+    requestSolve(comparePuzzle);
+  }, [showSolved, comparePuzzle, solutions, solveErrors, requestSolve]);
 
-    const nextSolutions = {};
-    const nextErrors = {};
+  React.useEffect(() => {
+    if (!autoSolveView) return;
 
     for (const puzzle of puzzles) {
       if (puzzle.errors.length > 0) continue;
       if (solutions[puzzle.name] || solveErrors[puzzle.name]) continue;
-      const { solution, error } = solveSudoku(puzzle.rows);
-      nextSolutions[puzzle.name] = solution;
-      nextErrors[puzzle.name] = error;
+      requestSolve(puzzle);
     }
+  }, [autoSolveView, puzzles, solutions, solveErrors, requestSolve]);
 
-    if (Object.keys(nextSolutions).length) {
-      setSolutions((existing) => ({ ...existing, ...nextSolutions }));
-    }
-    if (Object.keys(nextErrors).length) {
-      setSolveErrors((existing) => ({ ...existing, ...nextErrors }));
+  React.useEffect(() => {
+    const verdictPuzzles = activePuzzle ? [...puzzles, activePuzzle] : puzzles;
+    for (const puzzle of verdictPuzzles) {
+      if (puzzle.errors.length > 0 || verdicts[puzzle.name]) continue;
+      const known = manifestVerdict(puzzle);
+      if (known && (known.count < 2 || puzzle.name !== activePuzzle?.name)) {
+        continue;
+      }
+      requestVerdict(puzzle);
     }
-  }, [activeView, puzzles, solutions, solveErrors]);
+  }, [puzzles, activePuzzle, verdicts, requestVerdict]);
+
+  React.useEffect(() => {
+    const previous = windowJobsRef.current;
+    const names = new Set(puzzles.map((puzzle) => puzzle.name));
+    const stoppedAutoSolve = previous.autoSolve && !autoSolveView;
+    previous.names.forEach((name) => {
+      if (names.has(name) && !stoppedAutoSolve) return;
+      if (!names.has(name)) cancelSolverJob(`count:${name}`);
+      if (previous.autoSolve) cancelSolve(name);
+    });
+    windowJobsRef.current = { autoSolve: autoSolveView, names };
+  }, [autoSolveView, puzzles, cancelSolve, cancelSolverJob]);
 
   const handleSolve = () => {
     if (!activePuzzle) return;
-    const { solution, error } = solveSudoku(activePuzzle.rows);
+    requestSolve(activePuzzle);
+  };
 
-    setSolutions((prev) => ({
-      ...prev,
-      [activePuzzle.name]: solution,
-    }));
-    setSolveErrors((prev) => ({
-      ...prev,
-      [activePuzzle.name]: error,
-    }));
+  const getExportBoard = async (source) => {
+    if (!activePuzzle) return null;
+
+    const puzzle = activePuzzle;
+    if (source === "givens") {
+      return { rows: puzzle.rows, baseRows: puzzle.rows };
+    }
+    if (source === "solution") {
+      const solution =
+        solutions[puzzle.name] || (await requestSolve(puzzle)).solution;
+      return solution ? { rows: solution, baseRows: puzzle.rows } : null;
+    }
+
+    return {
+      rows: transformedRows,
+      baseRows: transformedBaseRows,
+      transform:
+        canApplyTransforms && hasActiveTransforms ? transformSteps : null,
+    };
   };
 
-  const handleDownloadSolution = () => {
-    if (!activePuzzle) return;
+  const handleFindMapping = async () => {
+    if (!activePuzzle || !comparePuzzle || !baseDisplayRows || !compareBaseRows) {
+      return;
+    }
+
+    const sourceName = activePuzzle.name;
+    const targetName = comparePuzzle.name;
+    setMappingStatus({ searching: true, message: "Searching for a mapping..." });
+    const result = await startSolverJob(
+      `isomorphism:${sourceName}:${targetName}:${showSolved}`,
+      baseDisplayRows,
+      { mode: "isomorphism", target: compareBaseRows },
+      () => {}
+    );
+    if (result.cancelled) {
+      setMappingStatus(null);
+      return;
+    }
+
+    if (!result.mapping) {
+      setMappingStatus({
+        searching: false,
+        error: `No transformation maps ${sourceName} onto ${targetName}. All ${SYMMETRY_GROUP_SIZE.toLocaleString()} band, stack, row, column and transpose arrangements were checked with every digit relabeling.`,
+      });
+      return;
+    }
+
+    const { transpose, digitPairs, rowPairs, colPairs } = result.mapping;
+    setTransformSteps(
+      [
+        createStep("relabel", formatPairs(digitPairs)),
+        createStep("rows", formatCycleNotation(rowPairs)),
+        createStep("cols", formatCycleNotation(colPairs)),
+        transpose ? createStep("transpose") : null,
+      ].filter((step) => step && (step.type === "transpose" || step.arg))
+    );
+    setMappingStatus({
+      searching: false,
+      message: `Found a mapping from ${sourceName} onto ${targetName}.`,
+    });
+  };
+
+  const getEquivalentNames = (puzzle) => {
+    const names = puzzle?.canonical ? isomorphGroups.get(puzzle.canonical) : null;
+    return names ? names.filter((name) => name !== puzzle.name) : [];
+  };
+  const activeEquivalentNames = getEquivalentNames(activePuzzle);
+
+  const openPuzzle = async (name) => {
+    const entry = manifest.find((item) => item.name === name);
+    if (!entry) return;
+    await loadPuzzleEntry(entry);
+    setActivePuzzleName(name);
+  };
+
+  const resetScroll = () => {
+    setScrollAnchor("");
+    setScrollRequest({ index: 0 });
+  };
+
+  const changeView = (view) => {
+    setActiveView(view);
+    resetScroll();
+  };
+
+  const saveView = (view) => {
+    if (viewEditor.isNew) {
+      const id = slugifyViewName(view.name, [
+        ...BUILTIN_VIEWS,
+        ...customViews.map((saved) => saved.id),
+      ]);
+      setCustomViews((views) => [...views, { ...view, id }]);
+      if (sharedView && viewEditor.view.id === sharedView.id) {
+        setSharedView(null);
+      }
+      changeView(id);
+    } else {
+      setCustomViews((views) =>
+        views.map((saved) => (saved.id === view.id ? view : saved))
+      );
+    }
+    setViewEditor(null);
+  };
 
-    const existingSolution = solutions[activePuzzle.name];
-    const { solution, error } = existingSolution
-      ? { solution: existingSolution, error: null }
-      : solveSudoku(activePuzzle.rows);
+  const deleteView = (id) => {
+    setCustomViews((views) => views.filter((view) => view.id !== id));
+    setViewEditor(null);
+    if (activeView === id) changeView("browse");
+  };
 
-    if (error || !solution) {
-      setSolveErrors((prev) => ({
-        ...prev,
-        [activePuzzle.name]: error || "No solution found.",
-      }));
+  const jumpToId = (event) => {
+    event.preventDefault();
+    const index = findNearestIndex(filteredManifest, jumpInput);
+    if (index === -1) {
+      setJumpError(`No puzzle ${jumpInput.trim()} in the current results.`);
       return;
     }
+    setJumpError("");
+    setScrollRequest({ index });
+  };
 
-    if (!existingSolution) {
-      setSolutions((prev) => ({
-        ...prev,
-        [activePuzzle.name]: solution,
-      }));
+  const renderPuzzleCard = (entry) => {
+    const puzzle = puzzleCacheRef.current.get(entry.name);
+    if (!puzzle) {
+      return (
+        <div className="puzzle-card preview placeholder" key={entry.name}>
+          <h2 className="puzzle-title">{entry.name}</h2>
+        </div>
+      );
     }
+    return (
+      <PuzzleCard
+        key={puzzle.name}
+        puzzle={puzzle}
+        onOpen={() => setActivePuzzleName(puzzle.name)}
+        isLowest={puzzle.name === lowestName}
+        isHighest={puzzle.name === highestName}
+        displayRows={
+          showSolutionView ? solutions[puzzle.name] || puzzle.rows : undefined
+        }
+        baseRows={showSolutionView ? puzzle.rows : undefined}
+        verdict={getVerdict(puzzle)}
+        equivalentCount={getEquivalentNames(puzzle).length}
+        meta={
+          autoSolveView
+            ? solveErrors[puzzle.name] ||
+              (solveProgress[puzzle.name] ? "Solving..." : undefined)
+            : describeSearchScore(searchScores?.get(puzzle.name))
+        }
+      />
+    );
+  };
 
-    renderSolutionPng({
-      solution,
-      baseRows: activePuzzle.rows,
-      name: activePuzzle.name,
+  const browseIdRange = (from, to) => {
+    setIdRange({ from, to });
+    changeView("browse");
+  };
+
+  const handleOpenImported = ({ rows, format }) => {
+    const name = `import-${puzzleHash(rows)}`;
+    puzzleCacheRef.current.set(name, {
+      name,
+      rows,
+      errors: [],
+      format,
+      adHoc: true,
+      canonical: canonicalForm(rows),
     });
+    setShowOpenDialog(false);
+    setActivePuzzleName(name);
   };
 
-  const loadComparePuzzle = async () => {
-    const requestedName = compareInput.trim();
+  const loadComparePuzzle = async (requestedName = compareInput.trim()) => {
+    setCompareInput(requestedName);
+    setMappingStatus(null);
     if (!requestedName) {
       setCompareName("");
       setCompareError("");
       return;
     }
 
-    const entry = manifest.find((item) => item.name === requestedName);
+    const entry =
+      manifest.find((item) => item.name === requestedName) ??
+      puzzleCacheRef.current.get(requestedName);
     if (!entry) {
       setCompareName("");
       setCompareError("Could not find that sudoku id.");
       return;
     }
 
-    const cached = puzzleCacheRef.current.get(entry.name);
-    if (cached) {
-      setCompareName(entry.name);
-      setCompareError("");
-      return;
-    }
-
     setCompareLoading(true);
     setCompareError("");
     try {
-      const response = await fetch(new URL(entry.file, baseSudokuUrl));
-      const text = await response.text();
-      const parsed = parsePuzzle(text);
-      const result = { ...entry, ...parsed };
-      puzzleCacheRef.current.set(entry.name, result);
+      await loadPuzzleEntry(entry);
       setCompareName(entry.name);
     } catch (error) {
       setCompareName("");
@@ -986,7 +1355,7 @@ export default function App() {
         <p className="contribute-link">
           To contribute more sudokus, make a PR{" "}
           <a
-            href="https://github.com/danicax/mrbeast_sudoku/tree/main/public/sudokus"
+            href={contributeUrl}
             target="_blank"
             rel="noreferrer"
           >
@@ -994,37 +1363,56 @@ export default function App() {
           </a>
           .
         </p>
+        <OfflineStatus entries={manifest} baseUrl={baseSudokuUrl} />
         <div className="stats-row">
           <span className="stat low">Lowest: {lowestName || "—"}</span>
           <span className="stat high">Highest: {highestName || "—"}</span>
           <span className="stat">
             Unique: {loading ? "—" : uniquePuzzleCount}
           </span>
+          <span className="stat">
+            Single solution: {loading ? "—" : manifestStats.uniqueSolutions}
+          </span>
+          <span className="stat">
+            Invalid: {loading ? "—" : manifestStats.invalid}
+          </span>
+          <span className="stat">
+            Avg clues:{" "}
+            {loading || manifestStats.averageClues === null
+              ? "—"
+              : manifestStats.averageClues.toFixed(1)}
+          </span>
+          <span className="stat">
+            Isomorph classes: {loading ? "—" : isomorphGroups.size}
+          </span>
           <span className="stat">
             Showing: {loading ? "—" : filteredManifest.length}
-            {activeView === "solved_mod25" ? " (id % 25 = 0)" : ""}
+            {activeCustomView ? ` (${describeView(activeCustomView)})` : ""}
           </span>
-          {isSearching ? (
+          {isSearching && (
             <span className="stat">Matches: {filteredManifest.length}</span>
-          ) : (
-            <span className="stat">
-              Page: {page} / {totalPages}
-            </span>
           )}
+          {!hidesGridControls &&
+            visibleRange.lastVisible > visibleRange.firstVisible && (
+              <span className="stat">
+                Viewing: {visibleRange.firstVisible + 1}–
+                {visibleRange.lastVisible} / {filteredManifest.length}
+              </span>
+            )}
         </div>
 
         <input
           className="search-input"
           type="search"
           placeholder={
-            activeView === "solved_mod25"
-              ? "Search within id % 25 = 0..."
-              : "Search by puzzle name..."
+            activeCustomView
+              ? `Search within ${activeCustomView.name}...`
+              : "Search by name, r1c1=8, clues=17, row=054007029..."
           }
           value={searchTerm}
           onChange={(event) => {
             setSearchTerm(event.target.value);
-            setPage(1);
+            resetScroll();
           }}
         />
         <label className="contribute-link">
@@ -1035,82 +1423,201 @@ export default function App() {
           />{" "}
           Use regex
         </label>
-        {regexError && (
-          <div className="error">Regex error: {regexError}</div>
+        <div className="browse-controls">
+          <label className="contribute-link">
+            Sort{" "}
+            <select
+              value={sortOrder}
+              onChange={(event) => {
+                setSortOrder(event.target.value);
+                resetScroll();
+              }}
+            >
+              <option value="id">By id</option>
+              <option value="easiest">Easiest first</option>
+              <option value="hardest">Hardest first</option>
+            </select>
+          </label>
+          <label className="contribute-link">
+            Hardest technique{" "}
+            <select
+              value={techniqueFilter}
+              onChange={(event) => {
+                setTechniqueFilter(event.target.value);
+                resetScroll();
+              }}
+            >
+              <option value="">Any</option>
+              {TECHNIQUES.map((technique) => (
+                <option key={technique.id} value={technique.name}>
+                  {technique.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            className="solve-button"
+            type="button"
+            onClick={() => setShowOpenDialog(true)}
+          >
+            Open puzzle
+          </button>
+          {idRange && (
+            <button
+              className="id-chip"
+              type="button"
+              title="Clear id range"
+              onClick={() => {
+                setIdRange(null);
+                resetScroll();
+              }}
+            >
+              Ids {formatIdRange(idRange)} ×
+            </button>
+          )}
+        </div>
+        {searchError && <div className="error">{searchError}</div>}
+        {activeViewFilter?.error && (
+          <div className="error">View filter: {activeViewFilter.error}</div>
         )}
-        {isSearching && filteredManifest.length > maxSearchResults && (
-          <p className="contribute-link">
-            Showing first {maxSearchResults} results. Refine your search to narrow
-            the list.
-          </p>
+        {packsLoading && (
+          <p className="puzzle-meta">Loading puzzle packs...</p>
         )}
-        
+        {!useRegexSearch && <p className="puzzle-meta">{SEARCH_HELP}</p>}
       </header>
       {loading && <div className="loading">Loading puzzles...</div>}
+      {loadError && <div className="error">{loadError}</div>}
       <div
-        className={`pagination-row ${isSearching ? "pagination-row--solo" : ""}`}
+        className={`pagination-row ${
+          hidesGridControls ? "pagination-row--solo" : ""
+        }`}
       >
-        {!isSearching && (
-          <div className="pagination">
-            <button
-              className="solve-button"
-              type="button"
-              onClick={() => setPage((prev) => Math.max(1, prev - 1))}
-              disabled={page <= 1}
-            >
-              Previous
-            </button>
+        {!hidesGridControls && (
+          <form className="pagination" onSubmit={jumpToId}>
+            <input
+              className="search-input jump-input"
+              type="text"
+              inputMode="numeric"
+              placeholder="Jump to id"
+              value={jumpInput}
+              onChange={(event) => {
+                setJumpInput(event.target.value);
+                setJumpError("");
+              }}
+            />
             <button
               className="solve-button"
-              type="button"
-              onClick={() => setPage((prev) => Math.min(totalPages, prev + 1))}
-              disabled={page >= totalPages}
+              type="submit"
+              disabled={!jumpInput.trim()}
             >
-              Next
+              Jump
             </button>
-          </div>
+            {jumpError && <span className="error">{jumpError}</span>}
+          </form>
         )}
         <div className="view-tabs">
           <button
             type="button"
             className={`solve-button view-tab ${activeView === "browse" ? "active" : ""}`}
             aria-pressed={activeView === "browse"}
-            onClick={() => setActiveView("browse")}
+            onClick={() => changeView("browse")}
           >
             Browse
           </button>
+          {customViews.map((view) => (
+            <button
+              key={view.id}
+              type="button"
+              className={`solve-button view-tab ${activeView === view.id ? "active" : ""}`}
+              aria-pressed={activeView === view.id}
+              title={describeView(view)}
+              onClick={() => changeView(view.id)}
+            >
+              {view.name}
+            </button>
+          ))}
+          {sharedView && (
+            <button
+              type="button"
+              className={`solve-button view-tab ${activeView === sharedView.id ? "active" : ""}`}
+              aria-pressed={activeView === sharedView.id}
+              title={describeView(sharedView)}
+              onClick={() => changeView(sharedView.id)}
+            >
+              {sharedView.name} (shared)
+            </button>
+          )}
+          <button
+            type="button"
+            className="solve-button view-tab"
+            onClick={() => setViewEditor({ view: createView(), isNew: true })}
+          >
+            + New view
+          </button>
+          {activeCustomView && (
+            <button
+              type="button"
+              className="solve-button view-tab"
+              onClick={() =>
+                setViewEditor({
+                  view: activeCustomView,
+                  isNew: activeCustomView === sharedView,
+                })
+              }
+            >
+              {activeCustomView === sharedView ? "Save view" : "Edit view"}
+            </button>
+          )}
+          <button
+            type="button"
+            className={`solve-button view-tab ${activeView === "isomorphs" ? "active" : ""}`}
+            aria-pressed={activeView === "isomorphs"}
+            onClick={() => changeView("isomorphs")}
+          >
+            Isomorph groups
+          </button>
           <button
             type="button"
-            className={`solve-button view-tab ${activeView === "solved_mod25" ? "active" : ""}`}
-            aria-pressed={activeView === "solved_mod25"}
-            onClick={() => setActiveView("solved_mod25")}
+            className={`solve-button view-tab ${activeView === "analytics" ? "active" : ""}`}
+            aria-pressed={activeView === "analytics"}
+            onClick={() => changeView("analytics")}
           >
-            Solved (id % 25 = 0)
+            Analytics
           </button>
         </div>
       </div>
-      <section className="puzzle-list">
-        {puzzles.map((puzzle) => (
-          <PuzzleCard
-            key={puzzle.name}
-            puzzle={puzzle}
-            onOpen={() => setActivePuzzleName(puzzle.name)}
-            isLowest={puzzle.name === lowestName}
-            isHighest={puzzle.name === highestName}
-            displayRows={
-              activeView === "solved_mod25"
-                ? solutions[puzzle.name] || puzzle.rows
-                : undefined
-            }
-            baseRows={activeView === "solved_mod25" ? puzzle.rows : undefined}
-            meta={
-              activeView === "solved_mod25"
-                ? solveErrors[puzzle.name]
-                : undefined
-            }
-          />
-        ))}
-      </section>
+      {activeView === "analytics" ? (
+        <AnalyticsView
+          entries={manifest}
+          contributeUrl={contributeUrl}
+          onSelectRange={browseIdRange}
+        />
+      ) : activeView === "isomorphs" ? (
+        <IsomorphGroups groups={visibleIsomorphGroups} onOpen={openPuzzle} />
+      ) : (
+        <VirtualPuzzleGrid
+          entries={filteredManifest}
+          renderCard={renderPuzzleCard}
+          scrollRequest={scrollRequest}
+          onRangeChange={setVisibleRange}
+        />
+      )}
+      {viewEditor && (
+        <ViewBuilder
+          view={viewEditor.view}
+          isNew={viewEditor.isNew}
+          entries={manifest}
+          onSave={saveView}
+          onDelete={deleteView}
+          onClose={() => setViewEditor(null)}
+        />
+      )}
+      {showOpenDialog && (
+        <OpenPuzzleDialog
+          onOpen={handleOpenImported}
+          onClose={() => setShowOpenDialog(false)}
+        />
+      )}
       {activePuzzle && (
         <div
           className="modal-backdrop"
@@ -1124,8 +1631,13 @@ export default function App() {
             aria-modal="true"
           >
             <header className="modal-header">
-              <div>
+              <div className="puzzle-card-heading">
                 <h2 className="puzzle-title">{activePuzzle.name}</h2>
+                <VerdictBadge verdict={activeVerdict} />
+                {activePuzzle.adHoc && (
+                  <span className="puzzle-meta">Imported, not in collection</span>
+                )}
+                <RatingBadge rating={activePuzzle.rating} />
               </div>
               <button
                 className="modal-close"
@@ -1148,13 +1660,63 @@ export default function App() {
                   <button
                     className="solve-button"
                     type="button"
-                    onClick={loadComparePuzzle}
+                    onClick={() => loadComparePuzzle()}
                     disabled={compareLoading}
                   >
                     {compareLoading ? "Loading..." : "Load"}
                   </button>
+                  <button
+                    className="solve-button"
+                    type="button"
+                    onClick={handleFindMapping}
+                    disabled={
+                      !comparePuzzle ||
+                      comparePuzzle.errors.length > 0 ||
+                      activePuzzle.errors.length > 0 ||
+                      mappingStatus?.searching
+                    }
+                  >
+                    Find mapping
+                  </button>
+                  <label className="contribute-link">
+                    <input
+                      type="checkbox"
+                      checked={showDiff}
+                      onChange={(event) => setShowDiff(event.target.checked)}
+                      disabled={!comparePuzzle}
+                    />{" "}
+                    Diff
+                  </label>
                 </div>
                 {compareError && <div className="error">{compareError}</div>}
+                {activeEquivalentNames.length > 0 && (
+                  <div className="equivalent-list">
+                    <span className="puzzle-meta">
+                      {activeEquivalentNames.length} equivalent puzzles:
+                    </span>
+                    {activeEquivalentNames.slice(0, 12).map((name) => (
+                      <button
+                        key={name}
+                        className="id-chip"
+                        type="button"
+                        onClick={() => loadComparePuzzle(name)}
+                      >
+                        {name}
+                      </button>
+                    ))}
+                    {activeEquivalentNames.length > 12 && (
+                      <span className="puzzle-meta">
+                        and {activeEquivalentNames.length - 12} more
+                      </span>
+                    )}
+                  </div>
+                )}
+                {mappingStatus?.message && (
+                  <p className="puzzle-meta">{mappingStatus.message}</p>
+                )}
+                {mappingStatus?.error && (
+                  <div className="error">{mappingStatus.error}</div>
+                )}
                 <div className="compare-grids">
                   <div>
                     <p className="puzzle-meta">Primary (transformed)</p>
@@ -1164,8 +1726,17 @@ export default function App() {
                       overlayRows={transformedOriginalOverlayRows}
                       highlightBorder={isMatchWithCompare}
                       highlightedMask={linkedHighlightMask}
+                      cellClassNames={transformConflictClassNames}
+                      diffRows={diffActive ? compareBaseRows : undefined}
+                      diffBaseRows={diffActive ? comparePuzzle.rows : undefined}
                       onCellClick={handlePrimaryCellClick}
                     />
+                    {transformConflicts && (
+                      <TransformWarning
+                        steps={boxBreakingSteps}
+                        units={transformConflicts.units}
+                      />
+                    )}
                   </div>
                   <div>
                     <p className="puzzle-meta">
@@ -1177,6 +1748,10 @@ export default function App() {
                         baseRows={comparePuzzle.rows}
                         highlightBorder={isMatchWithCompare}
                         highlightedMask={linkedHighlightMask}
+                        diffRows={diffActive ? transformedRows : undefined}
+                        diffBaseRows={
+                          diffActive ? transformedBaseRows : undefined
+                        }
                       />
                     ) : (
                       <div className="compare-placeholder">
@@ -1185,89 +1760,125 @@ export default function App() {
                     )}
                   </div>
                 </div>
+                {diffActive && (
+                  <div className="diff-summary">
+                    <span className="stat">
+                      Givens differ in {givensDistance} of 81 cells
+                    </span>
+                    <span className="stat">
+                      Solutions differ in{" "}
+                      {solutionsDistance === null
+                        ? activeSolveError || compareSolveError
+                          ? "— (no solution)"
+                          : "… (solving)"
+                        : `${solutionsDistance} of 81 cells`}
+                    </span>
+                    <span className="diff-legend">
+                      {DIFF_KINDS.map((kind) => (
+                        <span key={kind.id} className="puzzle-meta">
+                          <span className={`diff-swatch cell-diff-${kind.id}`} />
+                          {kind.label}
+                        </span>
+                      ))}
+                    </span>
+                  </div>
+                )}
+                {showPlay && (
+                  <PlayBoard
+                    key={activePuzzle.name}
+                    puzzle={activePuzzle}
+                    solution={activeSolution}
+                    onRequestSolution={requestActiveSolution}
+                  />
+                )}
+                {showSimilar && (
+                  <SimilarPanel
+                    result={similarResults[activeSimilarKey]}
+                    loading={!similarResults[activeSimilarKey]}
+                    metric={similarMetric}
+                    limit={similarLimit}
+                    onMetricChange={setSimilarMetric}
+                    onLimitChange={setSimilarLimit}
+                    onSelect={loadComparePuzzle}
+                  />
+                )}
+                {showSamePattern && (
+                  <SamePatternPanel
+                    result={patternResults[activePatternKey]}
+                    loading={!patternResults[activePatternKey]}
+                    tolerance={patternTolerance}
+                    onToleranceChange={setPatternTolerance}
+                    entriesByName={entriesByName}
+                    onSelect={loadComparePuzzle}
+                  />
+                )}
+                {showExplainer && (
+                  <SolveStepPlayer
+                    key={activePuzzle.name}
+                    puzzle={activePuzzle}
+                    result={logicResults[activePuzzle.name]}
+                    loading={!logicResults[activePuzzle.name]}
+                  />
+                )}
                 {activePuzzle.errors.length > 0 && (
                   <div className="error">{activePuzzle.errors.join(" ")}</div>
                 )}
                 {activeSolveError && <div className="error">{activeSolveError}</div>}
+                {alternateSolutionsMask && (
+                  <div className="alternate-solutions">
+                    <p className="puzzle-meta">
+                      This puzzle has more than one solution. Two of them differ in{" "}
+                      {alternateSolutionsMask.flat().filter(Boolean).length} cells:
+                    </p>
+                    <div className="compare-grids">
+                      {activeVerdict.solutions.slice(0, 2).map((solution, index) => (
+                        <div key={index}>
+                          <p className="puzzle-meta">Solution {index + 1}</p>
+                          <SudokuGrid
+                            rows={solution}
+                            baseRows={activePuzzle.rows}
+                            highlightedMask={alternateSolutionsMask}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                {activeSolveProgress ? (
+                  <div className="solve-status">
+                    <span className="puzzle-meta">
+                      Solving... {activeSolveProgress.nodes.toLocaleString()} nodes,{" "}
+                      {Math.round(activeSolveProgress.elapsedMs)} ms
+                    </span>
+                    <button
+                      className="modal-close"
+                      type="button"
+                      onClick={handleCancelSolve}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                ) : (
+                  activeSolveStats &&
+                  activeSolution && (
+                    <p className="puzzle-meta">
+                      Solved in {activeSolveStats.elapsedMs.toFixed(1)} ms (
+                      {activeSolveStats.nodes.toLocaleString()} nodes,{" "}
+                      {activeSolveStats.guesses.toLocaleString()} guesses)
+                    </p>
+                  )
+                )}
                 {compareSolveError && <div className="error">{compareSolveError}</div>}
               </div>
               <aside className="transform-panel">
                 <h3>Transformations</h3>
-                <label className="transform-field">
-                  Shift numbers
-                  <input
-                    type="number"
-                    value={shiftInput}
-                    onChange={(event) => setShiftInput(event.target.value)}
-                    disabled={activePuzzle.errors.length > 0}
-                  />
-                </label>
-                <label className="transform-field">
-                  Relabel (e.g. 6 8,5-7)
-                  <input
-                    type="text"
-                    value={manualMapInput}
-                    onChange={(event) => setManualMapInput(event.target.value)}
-                    disabled={activePuzzle.errors.length > 0}
-                  />
-                </label>
-                {parsedManualMapping.error && (
-                  <div className="error">{parsedManualMapping.error}</div>
-                )}
-                <label className="transform-field">
-                  Row map (e.g. (1 2 3)(4 5))
-                  <input
-                    type="text"
-                    value={rowMapInput}
-                    onChange={(event) => setRowMapInput(event.target.value)}
-                    disabled={activePuzzle.errors.length > 0}
-                  />
-                </label>
-                {rowMapError && <div className="error">{rowMapError}</div>}
-                <label className="transform-field">
-                  Column map (e.g. (1 2 3)(4 5))
-                  <input
-                    type="text"
-                    value={colMapInput}
-                    onChange={(event) => setColMapInput(event.target.value)}
-                    disabled={activePuzzle.errors.length > 0}
-                  />
-                </label>
-                {colMapError && <div className="error">{colMapError}</div>}
-                <label className="transform-field">
-                  Rotation
-                  <select
-                    value={rotationDegrees}
-                    onChange={(event) => setRotationDegrees(event.target.value)}
-                    disabled={activePuzzle.errors.length > 0}
-                  >
-                    <option value="0">0°</option>
-                    <option value="90">90°</option>
-                    <option value="180">180°</option>
-                    <option value="270">270°</option>
-                  </select>
-                </label>
-                <label className="transform-toggle">
-                  <input
-                    type="checkbox"
-                    checked={useTranspose}
-                    onChange={(event) => setUseTranspose(event.target.checked)}
-                    disabled={activePuzzle.errors.length > 0}
-                  />{" "}
-                  Transpose
-                </label>
-                <label className="transform-field">
-                  Mirror
-                  <select
-                    value={flipMode}
-                    onChange={(event) => setFlipMode(event.target.value)}
-                    disabled={activePuzzle.errors.length > 0}
-                  >
-                    <option value="none">None</option>
-                    <option value="horizontal">Horizontal</option>
-                    <option value="vertical">Vertical</option>
-                  </select>
-                </label>
+                <TransformSteps
+                  steps={transformSteps}
+                  errors={compiledTransform.errors}
+                  warnings={compiledTransform.warnings}
+                  disabled={activePuzzle.errors.length > 0}
+                  onChange={setTransformSteps}
+                />
               </aside>
             </div>
             <div className="modal-actions">
@@ -1282,11 +1893,38 @@ export default function App() {
               <button
                 className="solve-button"
                 type="button"
-                onClick={handleDownloadSolution}
+                onClick={handleToggleExplainer}
+                disabled={activePuzzle.errors.length > 0}
+              >
+                {showExplainer ? "Hide steps" : "Explain steps"}
+              </button>
+              <button
+                className="solve-button"
+                type="button"
+                onClick={() => setShowPlay((prev) => !prev)}
                 disabled={activePuzzle.errors.length > 0}
               >
-                Download Solution PNG
+                {showPlay ? "Stop playing" : "Play"}
+              </button>
+              <button
+                className="solve-button"
+                type="button"
+                onClick={() => setShowSamePattern((prev) => !prev)}
+              >
+                {showSamePattern ? "Hide same pattern" : "Same pattern"}
+              </button>
+              <button
+                className="solve-button"
+                type="button"
+                onClick={() => setShowSimilar((prev) => !prev)}
+              >
+                {showSimilar ? "Hide similar" : "Find similar"}
               </button>
+              <ExportMenu
+                name={activePuzzle.name}
+                getBoard={getExportBoard}
+                disabled={activePuzzle.errors.length > 0}
+              />
             </div>
           </div>
         </div>
@@ -0,0 +1,103 @@
+import React from "react";
+import {
+  EXPORT_FORMATS,
+  EXPORT_SCALES,
+  downloadBlob,
+  exportBoard,
+} from "./exportPuzzle.js";
+
+const EXPORT_SOURCES = [
+  { id: "transformed", label: "Current board (transformed)" },
+  { id: "givens", label: "Givens only" },
+  { id: "solution", label: "Solution" },
+];
+
+export default function ExportMenu({ name, getBoard, disabled }) {
+  const [source, setSource] = React.useState("transformed");
+  const [format, setFormat] = React.useState("png");
+  const [scale, setScale] = React.useState(2);
+  const [exporting, setExporting] = React.useState(false);
+  const [error, setError] = React.useState("");
+  const isImage = format === "svg" || format === "png";
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError("");
+    try {
+      const board = await getBoard(source);
+      if (!board) {
+        setError("Nothing to export for this source.");
+        return;
+      }
+      const { blob, fileName } = await exportBoard({
+        ...board,
+        name,
+        source,
+        format,
+        scale,
+      });
+      downloadBlob(blob, fileName);
+    } catch (exportError) {
+      setError(String(exportError));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <label className="transform-field">
+        Export
+        <select
+          value={source}
+          onChange={(event) => setSource(event.target.value)}
+        >
+          {EXPORT_SOURCES.map((item) => (
+            <option key={item.id} value={item.id}>
+              {item.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="transform-field">
+        Format
+        <select
+          value={format}
+          onChange={(event) => setFormat(event.target.value)}
+        >
+          {EXPORT_FORMATS.map((item) => (
+            <option key={item.id} value={item.id}>
+              {item.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {isImage && (
+        <label className="transform-field">
+          Scale
+          <select
+            value={scale}
+            onChange={(event) =>
+              setScale(Number.parseInt(event.target.value, 10))
+            }
+          >
+            {EXPORT_SCALES.map((value) => (
+              <option key={value} value={value}>
+                {value}x
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      <button
+        className="solve-button"
+        type="button"
+        onClick={handleExport}
+        disabled={disabled || exporting}
+      >
+        {exporting ? "Exporting..." : "Download"}
+      </button>
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
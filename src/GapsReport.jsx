@@ -0,0 +1,144 @@
+import React from "react";
+import { downloadBlob } from "./exportPuzzle.js";
+import {
+  RESIDUE_MODULI,
+  buildGapsReport,
+  describeGap,
+  formatGapsCsv,
+  formatGapsText,
+  gapContributeUrl,
+} from "./gapsReport.js";
+
+const gapBatch = 20;
+
+export default function GapsReport({ ids, contributeUrl }) {
+  const [modulus, setModulus] = React.useState(25);
+  const [visibleCount, setVisibleCount] = React.useState(gapBatch);
+  const report = React.useMemo(
+    () => buildGapsReport(ids, modulus),
+    [ids, modulus]
+  );
+
+  if (!report.gaps.length) {
+    return (
+      <p className="puzzle-meta">
+        No ids are missing between {report.from} and {report.to}.
+      </p>
+    );
+  }
+
+  const maxShare = Math.max(...report.residues.map((row) => row.share));
+
+  const handleDownload = (format) => {
+    const text =
+      format === "csv"
+        ? formatGapsCsv(report)
+        : formatGapsText(report, contributeUrl);
+    downloadBlob(
+      new Blob([text], {
+        type: format === "csv" ? "text/csv" : "text/plain",
+      }),
+      `sudoku-gaps.${format}`
+    );
+  };
+
+  return (
+    <div className="gaps-report">
+      <div className="browse-controls">
+        <span className="stat">
+          Missing: {report.missing.toLocaleString()} ids in{" "}
+          {report.gaps.length.toLocaleString()} gaps between {report.from} and{" "}
+          {report.to}
+        </span>
+        <button
+          className="solve-button"
+          type="button"
+          onClick={() => handleDownload("txt")}
+        >
+          Download text
+        </button>
+        <button
+          className="solve-button"
+          type="button"
+          onClick={() => handleDownload("csv")}
+        >
+          Download CSV
+        </button>
+      </div>
+      <table className="gaps-table">
+        <thead>
+          <tr>
+            <th>Rank</th>
+            <th>Missing ids</th>
+            <th>Size</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {report.ranked.slice(0, visibleCount).map((gap, index) => (
+            <tr key={gap.from}>
+              <td>{index + 1}</td>
+              <td>{describeGap(gap)}</td>
+              <td>{gap.size.toLocaleString()}</td>
+              <td>
+                <a
+                  href={gapContributeUrl(contributeUrl, gap)}
+                  target="_blank"
+                  rel="noreferrer"
+                  title={`Add ${gap.from}.txt to the collection on GitHub`}
+                >
+                  Contribute {describeGap(gap)}
+                </a>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {report.ranked.length > visibleCount && (
+        <button
+          className="solve-button"
+          type="button"
+          onClick={() => setVisibleCount((prev) => prev + gapBatch)}
+        >
+          Show more gaps
+        </button>
+      )}
+      <label className="contribute-link">
+        Coverage by id %{" "}
+        <select
+          value={modulus}
+          onChange={(event) =>
+            setModulus(Number.parseInt(event.target.value, 10))
+          }
+        >
+          {RESIDUE_MODULI.map((value) => (
+            <option key={value} value={value}>
+              {value}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div className="residue-grid">
+        {report.residues.map((row) => (
+          <div
+            key={row.residue}
+            className="residue-cell"
+            title={`${row.present} of ${row.expected} ids with id % ${modulus} = ${row.residue}; ${row.missing} missing`}
+          >
+            <span className="residue-label">{row.residue}</span>
+            <span className="residue-bar">
+              <span
+                style={{
+                  width: `${maxShare ? (row.share / maxShare) * 100 : 0}%`,
+                }}
+              />
+            </span>
+            <span className="puzzle-meta">
+              {row.present}/{row.expected}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+export default function IsomorphGroups({ groups, onOpen }) {
+  if (!groups.length) {
+    return <div className="loading">No isomorph groups match.</div>;
+  }
+
+  return (
+    <section className="isomorph-groups">
+      {groups.map((group) => (
+        <article className="isomorph-group" key={group.canonical}>
+          <header className="isomorph-group-header">
+            <h2 className="puzzle-title">
+              {group.names.length} equivalent puzzles
+            </h2>
+            <code className="isomorph-canonical" title="Canonical form">
+              {group.canonical}
+            </code>
+          </header>
+          <div className="isomorph-members">
+            {group.names.map((name) => (
+              <button
+                key={name}
+                className="id-chip"
+                type="button"
+                onClick={() => onOpen(name)}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+        </article>
+      ))}
+    </section>
+  );
+}
@@ -0,0 +1,116 @@
+import React from "react";
+import {
+  downloadCollection,
+  offlineCopyStatus,
+  readOfflineCopy,
+  serviceWorkerRegistration,
+} from "./offlineCache.js";
+
+function formatSavedAt(copy) {
+  return new Date(copy.savedAt).toLocaleString();
+}
+
+function describeCopy(status, copy) {
+  if (status === "missing") return "Not saved for offline use";
+  if (status === "unknown") return "Checking offline copy...";
+  if (status === "stale") {
+    return `Offline copy is stale: the deployed collection changed since ${formatSavedAt(
+      copy
+    )}`;
+  }
+  return `Offline copy up to date (${copy.count} puzzles, saved ${formatSavedAt(
+    copy
+  )})`;
+}
+
+export default function OfflineStatus({ entries, baseUrl }) {
+  const [online, setOnline] = React.useState(() => navigator.onLine);
+  const [copy, setCopy] = React.useState(readOfflineCopy);
+  const [progress, setProgress] = React.useState(null);
+  const [error, setError] = React.useState("");
+  const [updateReady, setUpdateReady] = React.useState(false);
+  const [workerError, setWorkerError] = React.useState("");
+  const status = offlineCopyStatus(copy, entries);
+
+  React.useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  React.useEffect(() => {
+    let alive = true;
+    serviceWorkerRegistration().catch((registrationError) => {
+      if (alive) {
+        setWorkerError(`Offline support is unavailable: ${registrationError}`);
+      }
+    });
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  React.useEffect(() => {
+    const serviceWorker = navigator.serviceWorker;
+    if (!serviceWorker?.controller) return undefined;
+    const handleChange = () => setUpdateReady(true);
+    serviceWorker.addEventListener("controllerchange", handleChange);
+    return () =>
+      serviceWorker.removeEventListener("controllerchange", handleChange);
+  }, []);
+
+  const handleDownload = async () => {
+    setError("");
+    setProgress({ done: 0, total: 0 });
+    try {
+      const saved = await downloadCollection(entries, baseUrl, (done, total) =>
+        setProgress({ done, total })
+      );
+      setCopy(saved);
+    } catch (downloadError) {
+      setError(String(downloadError));
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="offline-status">
+      {!online && <span className="offline-badge offline-off">Offline</span>}
+      <span className={`offline-badge offline-${status}`}>
+        {describeCopy(status, copy)}
+      </span>
+      {progress ? (
+        <span className="puzzle-meta">
+          Downloading {progress.done} / {progress.total || "..."} files
+        </span>
+      ) : (
+        <button
+          className="solve-button"
+          type="button"
+          onClick={handleDownload}
+          disabled={!online || !entries.length}
+        >
+          {status === "missing"
+            ? "Download entire collection"
+            : "Update offline copy"}
+        </button>
+      )}
+      {updateReady && (
+        <button
+          className="solve-button"
+          type="button"
+          onClick={() => window.location.reload()}
+        >
+          New version available, reload
+        </button>
+      )}
+      {workerError && <div className="error">{workerError}</div>}
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
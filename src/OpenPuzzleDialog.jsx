@@ -0,0 +1,102 @@
+import React from "react";
+import { IMPORT_FORMATS, importPuzzle } from "./importPuzzle.js";
+import SudokuGrid from "./SudokuGrid.jsx";
+
+export default function OpenPuzzleDialog({ onOpen, onClose }) {
+  const [text, setText] = React.useState("");
+  const [fileName, setFileName] = React.useState("");
+  const [dragging, setDragging] = React.useState(false);
+  const [readError, setReadError] = React.useState("");
+
+  const imported = React.useMemo(
+    () => (text.trim() ? importPuzzle(text, { fileName }) : null),
+    [text, fileName]
+  );
+  const canOpen = imported && imported.errors.length === 0;
+
+  const readFile = async (file) => {
+    if (!file) return;
+    try {
+      setText(await file.text());
+      setFileName(file.name);
+      setReadError("");
+    } catch (error) {
+      setReadError(String(error));
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragging(false);
+    readFile(event.dataTransfer.files[0]);
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose} role="presentation">
+      <div
+        className="modal-card open-dialog"
+        onClick={(event) => event.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+      >
+        <header className="modal-header">
+          <h2 className="puzzle-title">Open puzzle</h2>
+          <button className="modal-close" type="button" onClick={onClose}>
+            Close
+          </button>
+        </header>
+        <div
+          className={`drop-zone ${dragging ? "dragging" : ""}`}
+          onDragOver={(event) => {
+            event.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={handleDrop}
+        >
+          <textarea
+            className="import-text"
+            placeholder="Paste an 81-character string, .sdk, .ss, JSON or nine rows of digits, or drop a file here."
+            value={text}
+            onChange={(event) => {
+              setText(event.target.value);
+              setFileName("");
+            }}
+          />
+          <label className="contribute-link">
+            Or choose a file{" "}
+            <input
+              type="file"
+              accept=".txt,.sdk,.ss,.json,text/plain,application/json"
+              onChange={(event) => readFile(event.target.files[0])}
+            />
+          </label>
+        </div>
+        {readError && <div className="error">{readError}</div>}
+        {imported && (
+          <div className="import-preview">
+            <p className="puzzle-meta">
+              Detected format: {IMPORT_FORMATS[imported.format]}
+              {fileName ? ` (${fileName})` : ""}
+            </p>
+            {imported.errors.length > 0 ? (
+              <div className="error">{imported.errors.join(" ")}</div>
+            ) : (
+              <SudokuGrid rows={imported.rows} />
+            )}
+          </div>
+        )}
+        <div className="modal-actions">
+          <button
+            className="solve-button"
+            type="button"
+            disabled={!canOpen}
+            onClick={() => onOpen(imported)}
+          >
+            Open
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,375 @@
+import React from "react";
+import {
+  clearProgress,
+  createBoard,
+  eraseCell,
+  findConflicts,
+  loadProgress,
+  placeValue,
+  saveProgress,
+  toggleMark,
+} from "./playState.js";
+import { toRows } from "./solver.js";
+import SudokuGrid from "./SudokuGrid.jsx";
+
+const ENTRY_MODES = [
+  { id: "value", label: "Normal" },
+  { id: "corner", label: "Corner" },
+  { id: "centre", label: "Centre" },
+];
+
+function formatElapsed(elapsedMs) {
+  const totalSeconds = Math.floor(elapsedMs / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+}
+
+function initialGame(puzzle, givens) {
+  const saved = loadProgress(puzzle.name, givens);
+  return {
+    board: saved?.board ?? createBoard(givens),
+    past: [],
+    future: [],
+    elapsedMs: saved?.elapsedMs ?? 0,
+    completed: saved?.completed ?? false,
+  };
+}
+
+export default function PlayBoard({ puzzle, solution, onRequestSolution }) {
+  const givens = React.useMemo(() => puzzle.rows.flat(), [puzzle.rows]);
+  const [game, setGame] = React.useState(() => initialGame(puzzle, givens));
+  const [selected, setSelected] = React.useState(null);
+  const [mode, setMode] = React.useState("value");
+  const [storageError, setStorageError] = React.useState(false);
+  const { board, completed } = game;
+
+  const conflicts = React.useMemo(
+    () => findConflicts(board.values),
+    [board.values]
+  );
+  const filled = board.values.every(Boolean);
+  const hasConflicts = conflicts.some(Boolean);
+  const solutionCells = React.useMemo(() => solution?.flat(), [solution]);
+  const matchesSolution =
+    filled &&
+    Boolean(solutionCells) &&
+    board.values.every((value, cell) => value === solutionCells[cell]);
+
+  React.useEffect(() => {
+    if (!solution) onRequestSolution();
+  }, [solution, onRequestSolution]);
+
+  React.useEffect(() => {
+    if (matchesSolution && !completed) {
+      setGame((prev) => ({ ...prev, completed: true }));
+    }
+  }, [matchesSolution, completed]);
+
+  React.useEffect(() => {
+    if (completed) return undefined;
+    const timer = window.setInterval(() => {
+      if (document.hidden) return;
+      setGame((prev) => ({ ...prev, elapsedMs: prev.elapsedMs + 1000 }));
+    }, 1000);
+    return () => window.clearInterval(timer);
+  }, [completed]);
+
+  const gameRef = React.useRef(game);
+  const savedStateRef = React.useRef({
+    board: game.board,
+    completed: game.completed,
+    dirty: game.elapsedMs > 0,
+  });
+  gameRef.current = game;
+
+  const persist = React.useCallback(() => {
+    if (!savedStateRef.current.dirty) return;
+    const { board: current, elapsedMs, completed: done } = gameRef.current;
+    setStorageError(
+      !saveProgress(puzzle.name, {
+        board: current,
+        elapsedMs,
+        completed: done,
+      })
+    );
+  }, [puzzle.name]);
+
+  React.useEffect(() => {
+    const saved = savedStateRef.current;
+    if (saved.board === game.board && saved.completed === game.completed) {
+      return;
+    }
+    savedStateRef.current = {
+      board: game.board,
+      completed: game.completed,
+      dirty: true,
+    };
+    persist();
+  }, [game.board, game.completed, persist]);
+
+  React.useEffect(() => {
+    const handleHidden = () => {
+      if (document.visibilityState === "hidden") persist();
+    };
+    document.addEventListener("visibilitychange", handleHidden);
+    window.addEventListener("pagehide", persist);
+    return () => {
+      document.removeEventListener("visibilitychange", handleHidden);
+      window.removeEventListener("pagehide", persist);
+      persist();
+    };
+  }, [persist]);
+
+  const applyChange = (change) => {
+    setGame((prev) => {
+      const next = change(prev.board);
+      if (next === prev.board) return prev;
+      return {
+        ...prev,
+        board: next,
+        past: [...prev.past, prev.board],
+        future: [],
+      };
+    });
+  };
+
+  const undo = () => {
+    setGame((prev) => {
+      if (!prev.past.length || prev.completed) return prev;
+      return {
+        ...prev,
+        board: prev.past[prev.past.length - 1],
+        past: prev.past.slice(0, -1),
+        future: [prev.board, ...prev.future],
+      };
+    });
+  };
+
+  const redo = () => {
+    setGame((prev) => {
+      if (!prev.future.length || prev.completed) return prev;
+      return {
+        ...prev,
+        board: prev.future[0],
+        past: [...prev.past, prev.board],
+        future: prev.future.slice(1),
+      };
+    });
+  };
+
+  const enterDigit = (digit, entryMode = mode) => {
+    if (selected === null || completed) return;
+    applyChange((current) =>
+      entryMode === "value"
+        ? placeValue(current, givens, selected, digit)
+        : toggleMark(current, givens, selected, digit, entryMode)
+    );
+  };
+
+  const erase = () => {
+    if (selected === null || completed) return;
+    applyChange((current) => eraseCell(current, givens, selected));
+  };
+
+  const handleRestart = () => {
+    clearProgress(puzzle.name);
+    const freshBoard = createBoard(givens);
+    savedStateRef.current = {
+      board: freshBoard,
+      completed: false,
+      dirty: false,
+    };
+    setGame({
+      board: freshBoard,
+      past: [],
+      future: [],
+      elapsedMs: 0,
+      completed: false,
+    });
+    setSelected(null);
+  };
+
+  const handleKeyDown = (event) => {
+    const commandKey = event.ctrlKey || event.metaKey;
+    if (commandKey && event.key.toLowerCase() === "z") {
+      event.preventDefault();
+      if (event.shiftKey) redo();
+      else undo();
+      return;
+    }
+    if (commandKey && event.key.toLowerCase() === "y") {
+      event.preventDefault();
+      redo();
+      return;
+    }
+
+    const digitMatch = event.code.match(/^(?:Digit|Numpad)([1-9])$/);
+    if (digitMatch) {
+      event.preventDefault();
+      const entryMode = event.shiftKey
+        ? "corner"
+        : event.altKey
+          ? "centre"
+          : mode;
+      enterDigit(Number.parseInt(digitMatch[1], 10), entryMode);
+      return;
+    }
+
+    if (["Backspace", "Delete", "0"].includes(event.key)) {
+      event.preventDefault();
+      erase();
+      return;
+    }
+
+    const moves = {
+      ArrowUp: -9,
+      ArrowDown: 9,
+      ArrowLeft: -1,
+      ArrowRight: 1,
+    };
+    if (moves[event.key] !== undefined) {
+      event.preventDefault();
+      setSelected((prev) => {
+        if (prev === null) return 0;
+        const row = Math.floor(prev / 9);
+        const col = prev % 9;
+        if (Math.abs(moves[event.key]) === 9) {
+          return ((row + Math.sign(moves[event.key]) + 9) % 9) * 9 + col;
+        }
+        return row * 9 + ((col + moves[event.key] + 9) % 9);
+      });
+      return;
+    }
+
+    if (event.key === "Escape") {
+      setSelected(null);
+    }
+  };
+
+  const selectedValue = selected === null ? 0 : board.values[selected];
+  const cellClassNames = React.useMemo(
+    () =>
+      toRows(
+        conflicts.map((conflict, cell) =>
+          [
+            cell === selected ? "cell-selected" : "",
+            conflict ? "cell-conflict" : "",
+          ]
+            .filter(Boolean)
+            .join(" ")
+        )
+      ),
+    [conflicts, selected]
+  );
+  const highlightedMask = React.useMemo(
+    () =>
+      selectedValue
+        ? toRows(board.values.map((value) => value === selectedValue))
+        : null,
+    [board.values, selectedValue]
+  );
+
+  let status = "";
+  if (completed) {
+    status = `Solved in ${formatElapsed(game.elapsedMs)}.`;
+  } else if (filled && hasConflicts) {
+    status = "The grid is full but some entries conflict.";
+  } else if (filled && solutionCells) {
+    status = "The grid is full but does not match the solution.";
+  } else if (hasConflicts) {
+    status = "Some entries conflict.";
+  }
+
+  return (
+    <div className="play-board" tabIndex={0} onKeyDown={handleKeyDown}>
+      <div>
+        <p className="puzzle-meta">
+          Time: {formatElapsed(game.elapsedMs)}
+          {storageError ? " (progress can't be saved in this browser)" : ""}
+        </p>
+        <SudokuGrid
+          rows={toRows(board.values)}
+          baseRows={puzzle.rows}
+          candidates={board.corner}
+          centreMarks={board.centre}
+          cellClassNames={cellClassNames}
+          highlightedMask={highlightedMask}
+          onCellClick={({ rowIndex, colIndex }) =>
+            setSelected(rowIndex * 9 + colIndex)
+          }
+        />
+      </div>
+      <div className="play-controls">
+        {status && (
+          <p className={completed ? "play-status-solved" : "error"}>{status}</p>
+        )}
+        <div className="step-buttons">
+          {ENTRY_MODES.map((entry) => (
+            <button
+              key={entry.id}
+              className={`solve-button view-tab ${
+                mode === entry.id ? "active" : ""
+              }`}
+              type="button"
+              aria-pressed={mode === entry.id}
+              onClick={() => setMode(entry.id)}
+            >
+              {entry.label}
+            </button>
+          ))}
+        </div>
+        <div className="digit-pad">
+          {Array.from({ length: 9 }, (_, index) => (
+            <button
+              key={index}
+              className="solve-button"
+              type="button"
+              onClick={() => enterDigit(index + 1)}
+              disabled={selected === null || completed}
+            >
+              {index + 1}
+            </button>
+          ))}
+        </div>
+        <div className="step-buttons">
+          <button
+            className="solve-button"
+            type="button"
+            onClick={erase}
+            disabled={selected === null || completed}
+          >
+            Erase
+          </button>
+          <button
+            className="solve-button"
+            type="button"
+            onClick={undo}
+            disabled={!game.past.length || completed}
+          >
+            Undo
+          </button>
+          <button
+            className="solve-button"
+            type="button"
+            onClick={redo}
+            disabled={!game.future.length || completed}
+          >
+            Redo
+          </button>
+          <button
+            className="solve-button"
+            type="button"
+            onClick={handleRestart}
+          >
+            Restart
+          </button>
+        </div>
+        <p className="puzzle-meta">
+          Type 1-9 to enter, Shift for corner marks, Alt for centre marks,
+          arrows to move, Backspace to erase.
+        </p>
+      </div>
+    </div>
+  );
+}
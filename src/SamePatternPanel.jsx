@@ -0,0 +1,109 @@
+import React from "react";
+import { maskCells } from "./cluePattern.js";
+import { rowsFromPuzzleString } from "./parsePuzzle.js";
+import { toRows } from "./solver.js";
+import SudokuGrid from "./SudokuGrid.jsx";
+
+export const PATTERN_TOLERANCES = [0, 1, 2, 4, 6, 8];
+const previewBatch = 48;
+
+function overlayClassNames(overlay, puzzle) {
+  const target = maskCells(puzzle);
+  return toRows(
+    Array.from(overlay, (value, cell) => {
+      const inPattern = value === "1";
+      if (inPattern && target[cell]) return "cell-pattern-shared";
+      if (inPattern) return "cell-pattern-missing";
+      return target[cell] ? "cell-pattern-extra" : "";
+    })
+  );
+}
+
+export default function SamePatternPanel({
+  result,
+  loading,
+  tolerance,
+  onToleranceChange,
+  entriesByName,
+  onSelect,
+}) {
+  const [visibleCount, setVisibleCount] = React.useState(previewBatch);
+  const matches = result?.matches ?? [];
+
+  React.useEffect(() => {
+    setVisibleCount(previewBatch);
+  }, [result]);
+
+  return (
+    <div className="pattern-panel">
+      <div className="compare-controls">
+        <label className="contribute-link">
+          Allow differences in{" "}
+          <select
+            value={tolerance}
+            onChange={(event) =>
+              onToleranceChange(Number.parseInt(event.target.value, 10))
+            }
+          >
+            {PATTERN_TOLERANCES.map((value) => (
+              <option key={value} value={value}>
+                {value === 0 ? "no cells" : `up to ${value} cells`}
+              </option>
+            ))}
+          </select>
+        </label>
+        <span className="puzzle-meta">
+          {loading
+            ? "Searching the collection..."
+            : tolerance
+              ? `${matches.length} puzzles have this clue pattern or one within ${tolerance} cells of it.`
+              : `${matches.length} puzzles share this clue pattern.`}
+        </span>
+      </div>
+      {!loading && matches.length > 0 && (
+        <>
+          <p className="puzzle-meta">
+            Green cells are givens in both, red are only in this puzzle's
+            pattern, amber only in the match.
+          </p>
+          <div className="pattern-previews">
+            {matches.slice(0, visibleCount).map((match) => {
+              const entry = entriesByName.get(match.name);
+              if (!entry?.puzzle) return null;
+              return (
+                <button
+                  key={match.name}
+                  className="pattern-preview"
+                  type="button"
+                  onClick={() => onSelect(match.name)}
+                >
+                  <span className="puzzle-meta">
+                    {match.name}
+                    {match.distance ? ` · ${match.distance} differ` : ""}
+                  </span>
+                  <SudokuGrid
+                    rows={rowsFromPuzzleString(entry.puzzle)}
+                    baseRows={rowsFromPuzzleString(entry.puzzle)}
+                    cellClassNames={overlayClassNames(
+                      match.overlay,
+                      entry.puzzle
+                    )}
+                  />
+                </button>
+              );
+            })}
+          </div>
+          {matches.length > visibleCount && (
+            <button
+              className="solve-button"
+              type="button"
+              onClick={() => setVisibleCount((prev) => prev + previewBatch)}
+            >
+              Show more ({matches.length - visibleCount} left)
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
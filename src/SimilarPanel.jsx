@@ -0,0 +1,88 @@
+import React from "react";
+import { SIMILARITY_METRICS } from "./similarity.js";
+
+export const SIMILAR_LIMITS = [5, 10, 25, 50];
+
+function describeMatch(match, metric) {
+  if (metric === "givens") {
+    return `${match.shared} shared givens, ${match.distance} cells differ`;
+  }
+  if (metric === "canonical") {
+    return match.distance === 0
+      ? "isomorphic"
+      : `not isomorphic (canonical forms differ in ${match.distance} cells)`;
+  }
+  return `${match.distance} of 81 cells differ`;
+}
+
+export default function SimilarPanel({
+  result,
+  loading,
+  metric,
+  limit,
+  onMetricChange,
+  onLimitChange,
+  onSelect,
+}) {
+  return (
+    <div className="similar-panel">
+      <div className="compare-controls">
+        <label className="contribute-link">
+          Distance{" "}
+          <select
+            value={metric}
+            onChange={(event) => onMetricChange(event.target.value)}
+          >
+            {SIMILARITY_METRICS.map((entry) => (
+              <option key={entry.id} value={entry.id}>
+                {entry.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="contribute-link">
+          Show{" "}
+          <select
+            value={limit}
+            onChange={(event) =>
+              onLimitChange(Number.parseInt(event.target.value, 10))
+            }
+          >
+            {SIMILAR_LIMITS.map((value) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+        </label>
+        {loading && (
+          <span className="puzzle-meta">
+            {metric === "solution"
+              ? "Solving and comparing the collection..."
+              : "Comparing the collection..."}
+          </span>
+        )}
+      </div>
+      {result?.error && <div className="error">{result.error}</div>}
+      {!loading && result && !result.error && (
+        <ol className="similar-list">
+          {result.matches.map((match) => (
+            <li key={match.name}>
+              <button
+                className="id-chip"
+                type="button"
+                title="Load into the compare board"
+                onClick={() => onSelect(match.name)}
+              >
+                {match.name}
+              </button>{" "}
+              <span className="puzzle-meta">
+                {describeMatch(match, result.metric)}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
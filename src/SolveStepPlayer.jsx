@@ -0,0 +1,160 @@
+import React from "react";
+import { UNITS, unitName } from "./grid.js";
+import { toRows } from "./solver.js";
+import SudokuGrid from "./SudokuGrid.jsx";
+
+const playIntervalMs = 800;
+
+function buildStepHighlights(step, hintOnly) {
+  const cellClassNames = Array.from({ length: 9 }, () => Array(9).fill(""));
+  const candidateClassNames = new Map();
+  const markCell = (cell, className) => {
+    cellClassNames[Math.floor(cell / 9)][cell % 9] = className;
+  };
+
+  step.units.forEach((unitIndex) => {
+    UNITS[unitIndex].forEach((cell) => markCell(cell, "cell-step-unit"));
+  });
+  if (hintOnly) {
+    return { cellClassNames, candidateClassNames };
+  }
+
+  step.cells.forEach((cell) => markCell(cell, "cell-step-focus"));
+  step.chain?.forEach(({ cell, digit }) => {
+    candidateClassNames.set(cell * 9 + digit - 1, "candidate-chain");
+  });
+  step.eliminations.forEach(({ cell, digit }) => {
+    candidateClassNames.set(cell * 9 + digit - 1, "candidate-remove");
+  });
+  step.placements.forEach(({ cell, digit }) => {
+    candidateClassNames.set(cell * 9 + digit - 1, "candidate-place");
+  });
+
+  return { cellClassNames, candidateClassNames };
+}
+
+function describeHint(step) {
+  if (!step.units.length) return `Hint: look for a ${step.technique}.`;
+  return `Hint: look for a ${step.technique} in ${step.units
+    .map(unitName)
+    .join(" and ")}.`;
+}
+
+export default function SolveStepPlayer({ puzzle, result, loading }) {
+  const [position, setPosition] = React.useState(0);
+  const [playing, setPlaying] = React.useState(false);
+  const [hintOnly, setHintOnly] = React.useState(false);
+  const steps = result?.steps ?? [];
+  const atEnd = position >= steps.length;
+
+  React.useEffect(() => {
+    if (!playing) return undefined;
+    if (atEnd) {
+      setPlaying(false);
+      return undefined;
+    }
+
+    const timer = window.setTimeout(() => {
+      setHintOnly(false);
+      setPosition((prev) => prev + 1);
+    }, playIntervalMs);
+    return () => window.clearTimeout(timer);
+  }, [playing, atEnd, position]);
+
+  const step = atEnd ? null : steps[position];
+  const highlights = React.useMemo(
+    () => (step ? buildStepHighlights(step, hintOnly) : null),
+    [step, hintOnly]
+  );
+
+  if (loading) {
+    return (
+      <div className="step-player puzzle-meta">Working out the steps...</div>
+    );
+  }
+  if (!result) return null;
+  if (result.error) {
+    return <div className="error">{result.error}</div>;
+  }
+
+  const rows = step ? toRows(step.values) : result.solution;
+
+  return (
+    <div className="step-player">
+      <div>
+        <p className="puzzle-meta">
+          {atEnd
+            ? `Solved in ${steps.length} steps.`
+            : `Step ${position + 1} of ${steps.length}`}
+        </p>
+        <SudokuGrid
+          rows={rows}
+          baseRows={puzzle.rows}
+          candidates={step?.candidates}
+          cellClassNames={highlights?.cellClassNames}
+          candidateClassNames={highlights?.candidateClassNames}
+        />
+      </div>
+      <div className="step-controls">
+        <p className="step-explanation">
+          {step
+            ? hintOnly
+              ? describeHint(step)
+              : step.description
+            : result.usedBacktracking
+              ? "Logic alone could not finish this puzzle."
+              : "Every step was found with logic."}
+        </p>
+        <div className="step-buttons">
+          <button
+            className="solve-button"
+            type="button"
+            onClick={() => {
+              setPlaying(false);
+              setHintOnly(false);
+              setPosition((prev) => Math.max(0, prev - 1));
+            }}
+            disabled={position === 0}
+          >
+            Previous
+          </button>
+          <button
+            className="solve-button"
+            type="button"
+            onClick={() => {
+              setPlaying(false);
+              if (hintOnly) {
+                setHintOnly(false);
+                return;
+              }
+              setPosition((prev) => Math.min(steps.length, prev + 1));
+            }}
+            disabled={atEnd}
+          >
+            {hintOnly ? "Reveal" : "Next"}
+          </button>
+          <button
+            className="solve-button"
+            type="button"
+            onClick={() => setPlaying((prev) => !prev)}
+            disabled={atEnd}
+          >
+            {playing ? "Pause" : "Play"}
+          </button>
+          <button
+            className="solve-button"
+            type="button"
+            onClick={() => {
+              setPlaying(false);
+              setHintOnly(true);
+              setPosition((prev) => Math.min(steps.length, prev + 1));
+            }}
+            disabled={position >= steps.length - 1}
+          >
+            Next hint only
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import { diffCell } from "./boardDiff.js";
+
+export default function SudokuGrid({
+  rows,
+  baseRows,
+  overlayRows,
+  highlightBorder,
+  highlightedMask,
+  cellClassNames,
+  candidates,
+  candidateClassNames,
+  centreMarks,
+  diffRows,
+  diffBaseRows,
+  onCellClick,
+}) {
+  const cells = [];
+
+  for (let rowIndex = 0; rowIndex < 9; rowIndex += 1) {
+    for (let colIndex = 0; colIndex < 9; colIndex += 1) {
+      const value = rows?.[rowIndex]?.[colIndex] ?? 0;
+      const baseValue = baseRows?.[rowIndex]?.[colIndex] ?? 0;
+      const overlayValue = overlayRows?.[rowIndex]?.[colIndex] ?? 0;
+      const classes = ["cell"];
+
+      if (!value) {
+        classes.push("empty");
+      }
+      if (value && !baseValue) {
+        classes.push("solved");
+      }
+
+      if (rowIndex % 3 === 0) {
+        classes.push("thick-top");
+      }
+      if (colIndex % 3 === 0) {
+        classes.push("thick-left");
+      }
+      if (rowIndex === 8) {
+        classes.push("thick-bottom");
+      }
+      if (colIndex === 8) {
+        classes.push("thick-right");
+      }
+      if (highlightedMask?.[rowIndex]?.[colIndex]) {
+        classes.push("cell-linked-highlight");
+      }
+      if (diffRows) {
+        const kind = diffCell(
+          value,
+          baseValue,
+          diffRows[rowIndex]?.[colIndex] ?? 0,
+          diffBaseRows?.[rowIndex]?.[colIndex] ?? 0
+        );
+        if (kind) classes.push(`cell-diff-${kind}`);
+      }
+      if (cellClassNames?.[rowIndex]?.[colIndex]) {
+        classes.push(cellClassNames[rowIndex][colIndex]);
+      }
+
+      const cellIndex = rowIndex * 9 + colIndex;
+      const candidateMask = !value && candidates ? candidates[cellIndex] : 0;
+      const centreMask = !value && centreMarks ? centreMarks[cellIndex] : 0;
+
+      cells.push(
+        <div
+          key={`${rowIndex}-${colIndex}`}
+          className={classes.join(" ")}
+          onClick={
+            onCellClick
+              ? () => onCellClick({ rowIndex, colIndex, value })
+              : undefined
+          }
+        >
+          {overlayRows && (
+            <span className="cell-corner">{overlayValue || ""}</span>
+          )}
+          {centreMask ? (
+            <span className="cell-centre-marks">
+              {Array.from({ length: 9 }, (_, digitIndex) =>
+                centreMask & (1 << digitIndex) ? digitIndex + 1 : ""
+              ).join("")}
+            </span>
+          ) : null}
+          {candidateMask ? (
+            <span className="cell-candidates">
+              {Array.from({ length: 9 }, (_, digitIndex) => (
+                <span
+                  key={digitIndex}
+                  className={
+                    candidateClassNames?.get(cellIndex * 9 + digitIndex) ||
+                    undefined
+                  }
+                >
+                  {candidateMask & (1 << digitIndex) ? digitIndex + 1 : ""}
+                </span>
+              ))}
+            </span>
+          ) : (
+            !centreMask && <span className="cell-main">{value || ""}</span>
+          )}
+        </div>
+      );
+    }
+  }
+
+  return (
+    <div className={`grid ${highlightBorder ? "grid-match" : ""}`}>{cells}</div>
+  );
+}
@@ -0,0 +1,218 @@
+import React from "react";
+import {
+  STEP_TYPES,
+  createStep,
+  formatPipeline,
+  invertSteps,
+  parsePipeline,
+} from "./transformPipeline.js";
+
+function StepArgument({ step, disabled, onChange }) {
+  if (step.type === "transpose") return null;
+
+  if (step.type === "rotate") {
+    return (
+      <select
+        value={step.arg}
+        onChange={(event) => onChange(event.target.value)}
+        disabled={disabled}
+      >
+        <option value="0">0°</option>
+        <option value="90">90°</option>
+        <option value="180">180°</option>
+        <option value="270">270°</option>
+      </select>
+    );
+  }
+
+  if (step.type === "mirror") {
+    return (
+      <select
+        value={step.arg}
+        onChange={(event) => onChange(event.target.value)}
+        disabled={disabled}
+      >
+        <option value="horizontal">Horizontal</option>
+        <option value="vertical">Vertical</option>
+      </select>
+    );
+  }
+
+  const placeholder = STEP_TYPES.find(
+    (entry) => entry.type === step.type
+  )?.placeholder;
+  return (
+    <input
+      type={step.type === "shift" ? "number" : "text"}
+      value={step.arg}
+      placeholder={placeholder ? `e.g. ${placeholder}` : undefined}
+      onChange={(event) => onChange(event.target.value)}
+      disabled={disabled}
+    />
+  );
+}
+
+export default function TransformSteps({
+  steps,
+  errors,
+  warnings,
+  disabled,
+  onChange,
+}) {
+  const [newType, setNewType] = React.useState(STEP_TYPES[0].type);
+  const serialized = formatPipeline(steps);
+  const [draft, setDraft] = React.useState(serialized);
+  const [draftError, setDraftError] = React.useState("");
+  const [inverseError, setInverseError] = React.useState("");
+
+  React.useEffect(() => {
+    setDraft(serialized);
+    setDraftError("");
+    setInverseError("");
+  }, [serialized]);
+
+  const updateStep = (index, arg) => {
+    onChange(steps.map((step, i) => (i === index ? { ...step, arg } : step)));
+  };
+
+  const moveStep = (index, offset) => {
+    const next = steps.slice();
+    const [step] = next.splice(index, 1);
+    next.splice(index + offset, 0, step);
+    onChange(next);
+  };
+
+  const handleInvert = () => {
+    const result = invertSteps(steps);
+    if (result.error) {
+      setInverseError(result.error);
+      return;
+    }
+    onChange(result.steps);
+  };
+
+  const handleApplyDraft = () => {
+    const result = parsePipeline(draft);
+    if (result.error) {
+      setDraftError(result.error);
+      return;
+    }
+    onChange(result.steps);
+  };
+
+  return (
+    <div className="transform-steps">
+      {steps.length === 0 && (
+        <p className="puzzle-meta">No steps. Add one below.</p>
+      )}
+      <ol className="transform-step-list">
+        {steps.map((step, index) => (
+          <li key={step.id} className="transform-step">
+            <div className="transform-step-row">
+              <span className="transform-step-label">
+                {STEP_TYPES.find((entry) => entry.type === step.type)?.label}
+              </span>
+              <StepArgument
+                step={step}
+                disabled={disabled}
+                onChange={(arg) => updateStep(index, arg)}
+              />
+            </div>
+            <div className="transform-step-buttons">
+              <button
+                type="button"
+                aria-label="Move step up"
+                onClick={() => moveStep(index, -1)}
+                disabled={disabled || index === 0}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                aria-label="Move step down"
+                onClick={() => moveStep(index, 1)}
+                disabled={disabled || index === steps.length - 1}
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                aria-label="Remove step"
+                onClick={() => onChange(steps.filter((_, i) => i !== index))}
+                disabled={disabled}
+              >
+                ×
+              </button>
+            </div>
+            {errors[index] && <div className="error">{errors[index]}</div>}
+            {!errors[index] && warnings[index] && (
+              <div className="transform-warning">{warnings[index]}</div>
+            )}
+          </li>
+        ))}
+      </ol>
+      <div className="transform-step-row">
+        <select
+          value={newType}
+          onChange={(event) => setNewType(event.target.value)}
+          disabled={disabled}
+        >
+          {STEP_TYPES.map((entry) => (
+            <option key={entry.type} value={entry.type}>
+              {entry.label}
+            </option>
+          ))}
+        </select>
+        <button
+          className="solve-button"
+          type="button"
+          onClick={() => onChange([...steps, createStep(newType)])}
+          disabled={disabled}
+        >
+          Add step
+        </button>
+      </div>
+      <div className="transform-step-row">
+        <button
+          className="solve-button"
+          type="button"
+          onClick={handleInvert}
+          disabled={disabled || !steps.length}
+        >
+          Invert
+        </button>
+        <button
+          className="solve-button"
+          type="button"
+          onClick={() => onChange([])}
+          disabled={disabled || !steps.length}
+        >
+          Clear
+        </button>
+      </div>
+      {inverseError && <div className="error">{inverseError}</div>}
+      <label className="transform-field">
+        Pipeline text
+        <textarea
+          rows={3}
+          value={draft}
+          placeholder="shift 3; rows (1 2); transpose"
+          onChange={(event) => {
+            setDraft(event.target.value);
+            setDraftError("");
+          }}
+          disabled={disabled}
+        />
+      </label>
+      <button
+        className="solve-button"
+        type="button"
+        onClick={handleApplyDraft}
+        disabled={disabled || draft === serialized}
+      >
+        Use pipeline text
+      </button>
+      {draftError && <div className="error">{draftError}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,16 @@
+import React from "react";
+import { unitName } from "./grid.js";
+import { describeStep } from "./transformPipeline.js";
+
+export default function TransformWarning({ steps, units }) {
+  const stepNames = steps.map((step) => describeStep(step)).join(", ");
+  return (
+    <div className="transform-warning">
+      {steps.length
+        ? `${stepNames} breaks the box structure, so this is no longer a valid sudoku.`
+        : "This transform produces an invalid sudoku."}{" "}
+      Repeated digits in {units.map(unitName).join(", ")}. Use band, stack and
+      within-band steps to keep it valid.
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import { describe, expect, it } from "vitest";
+import { rowsFromPuzzleString } from "./parsePuzzle.js";
+import {
+  applyPipeline,
+  compilePipeline,
+  createStep,
+  findBrokenUnits,
+} from "./transformPipeline.js";
+import TransformWarning from "./TransformWarning.jsx";
+
+const solved =
+  "534678912672195348198342567859761423426853791713924856961537284287419635345286179";
+
+describe("TransformWarning", () => {
+  it("names the box-breaking step and the broken units", () => {
+    const steps = [createStep("rows", "(1 4)")];
+    const compiled = compilePipeline(steps);
+    const rows = applyPipeline(rowsFromPuzzleString(solved), compiled.ops);
+    const broken = findBrokenUnits(rows);
+    const breaking = steps.filter((_, index) => compiled.warnings[index]);
+
+    expect(breaking).toHaveLength(1);
+    expect(broken.units.length).toBeGreaterThan(0);
+
+    const html = renderToStaticMarkup(
+      <TransformWarning steps={breaking} units={broken.units} />
+    );
+    expect(html).toContain("Row map: (1 4) breaks the box structure");
+    expect(html).toContain("box 1");
+  });
+});
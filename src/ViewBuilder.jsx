@@ -0,0 +1,161 @@
+import React from "react";
+import {
+  ID_FILTER_HELP,
+  SOLUTION_FILTERS,
+  compileView,
+} from "./customViews.js";
+import { TECHNIQUES } from "./logicSolver.js";
+
+export default function ViewBuilder({
+  view,
+  isNew,
+  entries,
+  onSave,
+  onDelete,
+  onClose,
+}) {
+  const [draft, setDraft] = React.useState(view);
+  const compiled = React.useMemo(() => compileView(draft), [draft]);
+  const matchCount = React.useMemo(
+    () => (compiled.error ? 0 : entries.filter(compiled.predicate).length),
+    [compiled, entries]
+  );
+  const canSave = draft.name.trim() && !compiled.error;
+
+  const update = (field) => (event) =>
+    setDraft((current) => ({
+      ...current,
+      [field]:
+        event.target.type === "checkbox"
+          ? event.target.checked
+          : event.target.value,
+    }));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (canSave) onSave({ ...draft, name: draft.name.trim() });
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose} role="presentation">
+      <form
+        className="modal-card view-builder"
+        onClick={(event) => event.stopPropagation()}
+        onSubmit={handleSubmit}
+        role="dialog"
+        aria-modal="true"
+      >
+        <header className="modal-header">
+          <h2 className="puzzle-title">{isNew ? "New view" : "Edit view"}</h2>
+          <button className="modal-close" type="button" onClick={onClose}>
+            Close
+          </button>
+        </header>
+        <label className="contribute-link">
+          Name{" "}
+          <input
+            className="search-input"
+            type="text"
+            value={draft.name}
+            onChange={update("name")}
+          />
+        </label>
+        <label className="contribute-link">
+          Ids{" "}
+          <input
+            className="search-input"
+            type="text"
+            placeholder="%25=0 1000-1999"
+            value={draft.ids}
+            onChange={update("ids")}
+          />
+        </label>
+        <p className="puzzle-meta">{ID_FILTER_HELP}</p>
+        <div className="browse-controls">
+          <label className="contribute-link">
+            Hardest technique{" "}
+            <select value={draft.technique} onChange={update("technique")}>
+              <option value="">Any</option>
+              {TECHNIQUES.map((technique) => (
+                <option key={technique.id} value={technique.name}>
+                  {technique.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="contribute-link">
+            Solutions{" "}
+            <select value={draft.solutions} onChange={update("solutions")}>
+              {SOLUTION_FILTERS.map((filter) => (
+                <option key={filter.id} value={filter.id}>
+                  {filter.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="contribute-link">
+            Clues from{" "}
+            <input
+              className="clue-bound"
+              type="number"
+              min="0"
+              max="81"
+              value={draft.minClues}
+              onChange={update("minClues")}
+            />
+          </label>
+          <label className="contribute-link">
+            to{" "}
+            <input
+              className="clue-bound"
+              type="number"
+              min="0"
+              max="81"
+              value={draft.maxClues}
+              onChange={update("maxClues")}
+            />
+          </label>
+        </div>
+        <div className="browse-controls">
+          <label className="contribute-link">
+            <input
+              type="checkbox"
+              checked={draft.autoSolve}
+              onChange={update("autoSolve")}
+            />{" "}
+            Auto-solve visible puzzles
+          </label>
+          <label className="contribute-link">
+            <input
+              type="checkbox"
+              checked={draft.showSolution}
+              onChange={update("showSolution")}
+            />{" "}
+            Show solved grids
+          </label>
+        </div>
+        {compiled.error ? (
+          <div className="error">{compiled.error}</div>
+        ) : (
+          <p className="puzzle-meta">
+            Matches {matchCount} of {entries.length} puzzles.
+          </p>
+        )}
+        <div className="browse-controls">
+          <button className="solve-button" type="submit" disabled={!canSave}>
+            Save view
+          </button>
+          {!isNew && (
+            <button
+              className="solve-button"
+              type="button"
+              onClick={() => onDelete(view.id)}
+            >
+              Delete view
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
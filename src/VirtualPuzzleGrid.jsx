@@ -0,0 +1,135 @@
+import React from "react";
+
+const MIN_COLUMN_WIDTH = 180;
+const GAP = 20;
+const CARD_CHROME = 140;
+const OVERSCAN_ROWS = 2;
+
+function measureLayout(width, count) {
+  const columns = Math.max(
+    1,
+    Math.floor((width + GAP) / (MIN_COLUMN_WIDTH + GAP))
+  );
+  const columnWidth = (width - GAP * (columns - 1)) / columns;
+  const rowHeight = Math.round(columnWidth + CARD_CHROME);
+  const rows = Math.ceil(count / columns);
+  return {
+    columns,
+    rowHeight,
+    stride: rowHeight + GAP,
+    height: rows ? rows * (rowHeight + GAP) - GAP : 0,
+  };
+}
+
+function visibleRows(container, layout, count) {
+  const top = container.getBoundingClientRect().top;
+  const rows = Math.ceil(count / layout.columns);
+  const first = Math.max(0, Math.floor(-top / layout.stride));
+  const last = Math.min(
+    rows,
+    Math.ceil((window.innerHeight - top) / layout.stride)
+  );
+  return { first, last: Math.max(first, last) };
+}
+
+export default function VirtualPuzzleGrid({
+  entries,
+  renderCard,
+  scrollRequest,
+  onRangeChange,
+}) {
+  const containerRef = React.useRef(null);
+  const handledRequestRef = React.useRef(null);
+  const [width, setWidth] = React.useState(0);
+  const [rows, setRows] = React.useState({ first: 0, last: 0 });
+  const layout = React.useMemo(
+    () => measureLayout(width, entries.length),
+    [width, entries.length]
+  );
+
+  React.useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const observer = new ResizeObserver(() => setWidth(container.clientWidth));
+    observer.observe(container);
+    setWidth(container.clientWidth);
+    return () => observer.disconnect();
+  }, []);
+
+  React.useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container || !width) return undefined;
+    let frame = 0;
+    const update = () => {
+      frame = 0;
+      const next = visibleRows(container, layout, entries.length);
+      setRows((current) =>
+        current.first === next.first && current.last === next.last
+          ? current
+          : next
+      );
+    };
+    const schedule = () => {
+      if (!frame) frame = window.requestAnimationFrame(update);
+    };
+    update();
+    window.addEventListener("scroll", schedule, { passive: true });
+    window.addEventListener("resize", schedule);
+    return () => {
+      window.removeEventListener("scroll", schedule);
+      window.removeEventListener("resize", schedule);
+      if (frame) window.cancelAnimationFrame(frame);
+    };
+  }, [layout, width, entries.length]);
+
+  React.useEffect(() => {
+    const container = containerRef.current;
+    if (!scrollRequest || !container || !width) return;
+    if (handledRequestRef.current === scrollRequest) return;
+    handledRequestRef.current = scrollRequest;
+    const gridTop = container.getBoundingClientRect().top + window.scrollY;
+    const row = Math.floor(scrollRequest.index / layout.columns);
+    const target = gridTop + row * layout.stride;
+    window.scrollTo({
+      top:
+        scrollRequest.index === 0 ? Math.min(window.scrollY, target) : target,
+    });
+  }, [scrollRequest, layout, width]);
+
+  const firstRow = Math.max(0, rows.first - OVERSCAN_ROWS);
+  const lastRow = rows.last + OVERSCAN_ROWS;
+  const start = Math.min(entries.length, firstRow * layout.columns);
+  const end = Math.min(entries.length, lastRow * layout.columns);
+  const firstVisible = Math.min(
+    entries.length - 1,
+    rows.first * layout.columns
+  );
+  const lastVisible = Math.min(entries.length, rows.last * layout.columns);
+
+  React.useEffect(() => {
+    if (!width) return;
+    onRangeChange({ start, end, firstVisible, lastVisible });
+  }, [width, start, end, firstVisible, lastVisible, onRangeChange]);
+
+  return (
+    <section
+      className="virtual-grid"
+      ref={containerRef}
+      style={{ height: layout.height }}
+    >
+      <div
+        className="virtual-grid-window"
+        style={{
+          top: firstRow * layout.stride,
+          gap: GAP,
+          gridTemplateColumns: `repeat(${layout.columns}, minmax(0, 1fr))`,
+          gridAutoRows: layout.rowHeight,
+        }}
+      >
+        {entries
+          .slice(start, end)
+          .map((entry, offset) => renderCard(entry, start + offset))}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,19 @@
+export const DIFF_KINDS = [
+  { id: "match", label: "Same value" },
+  { id: "value", label: "Different value" },
+  { id: "given", label: "Given on one side only" },
+];
+
+export function diffCell(value, given, otherValue, otherGiven) {
+  if (value && otherValue && value !== otherValue) return "value";
+  if (Boolean(given) !== Boolean(otherGiven)) return "given";
+  if (value && value === otherValue) return "match";
+  return "";
+}
+
+export function hammingDistance(first, second) {
+  if (!first || !second) return null;
+  const a = first.flat();
+  const b = second.flat();
+  return a.reduce((count, value, cell) => count + (value !== b[cell]), 0);
+}
@@ -0,0 +1,82 @@
+import {
+  LINE_PERMUTATIONS,
+  flattenRows,
+  transposeCells,
+} from "./isomorphism.js";
+
+const UNSET = Number.POSITIVE_INFINITY;
+
+function canonicalizeOrientation(cells, best) {
+  const labels = new Int8Array(10);
+  const usedRows = Array(9).fill(false);
+  const usedBands = [false, false, false];
+  const bandMap = new Array(3);
+  let nextLabel = 1;
+
+  for (const colOrder of LINE_PERMUTATIONS) {
+    const place = (row) => {
+      if (row === 9) return;
+
+      const targetBand = Math.floor(row / 3);
+      const bands =
+        row % 3 === 0
+          ? [0, 1, 2].filter((band) => !usedBands[band])
+          : [bandMap[targetBand]];
+
+      for (const band of bands) {
+        if (row % 3 === 0) {
+          bandMap[targetBand] = band;
+          usedBands[band] = true;
+        }
+
+        for (let offset = 0; offset < 3; offset += 1) {
+          const sourceRow = band * 3 + offset;
+          if (usedRows[sourceRow]) continue;
+
+          const assigned = [];
+          let value = 0;
+          for (let col = 0; col < 9; col += 1) {
+            const digit = cells[sourceRow * 9 + colOrder[col]];
+            if (digit && !labels[digit]) {
+              labels[digit] = nextLabel;
+              nextLabel += 1;
+              assigned.push(digit);
+            }
+            value = value * 10 + (digit ? labels[digit] : 0);
+          }
+
+          if (value <= best.rows[row]) {
+            if (value < best.rows[row]) {
+              best.rows[row] = value;
+              best.rows.fill(UNSET, row + 1);
+            }
+            usedRows[sourceRow] = true;
+            place(row + 1);
+            usedRows[sourceRow] = false;
+          }
+
+          assigned.forEach((digit) => {
+            labels[digit] = 0;
+          });
+          nextLabel -= assigned.length;
+        }
+
+        if (row % 3 === 0) {
+          usedBands[band] = false;
+        }
+      }
+    };
+
+    place(0);
+  }
+}
+
+export function canonicalForm(rows) {
+  const cells = flattenRows(rows);
+  const best = { rows: Array(9).fill(UNSET) };
+
+  canonicalizeOrientation(cells, best);
+  canonicalizeOrientation(transposeCells(cells), best);
+
+  return best.rows.map((value) => String(value).padStart(9, "0")).join("");
+}
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { canonicalForm } from "./canonical.js";
+
+const puzzle =
+  "530070000600195000098000060800060003400803001700020006060000280000419005000080079";
+
+function toGrid(text) {
+  return Array.from({ length: 9 }, (_, row) =>
+    Array.from(text.slice(row * 9, row * 9 + 9), Number)
+  );
+}
+
+describe("canonicalForm", () => {
+  it("is shared by a puzzle and a transformed copy", () => {
+    const source = toGrid(puzzle);
+    const bandsSwapped = [
+      ...source.slice(3, 6),
+      ...source.slice(0, 3),
+      ...source.slice(6),
+    ];
+    const transformed = bandsSwapped[0].map((_, col) =>
+      bandsSwapped.map((row) => (row[col] ? 10 - row[col] : 0))
+    );
+
+    expect(canonicalForm(transformed)).toBe(canonicalForm(source));
+  });
+
+  it("keeps the clue count and separates non-isomorphic puzzles", () => {
+    const source = toGrid(puzzle);
+    const form = canonicalForm(source);
+    expect(form).toHaveLength(81);
+    expect(form.replace(/0/g, "")).toHaveLength(30);
+    expect(canonicalForm(toGrid(`0${puzzle.slice(1)}`))).not.toBe(form);
+  });
+});
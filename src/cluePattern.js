@@ -0,0 +1,158 @@
+import { canonicalForm } from "./canonical.js";
+import { BIT_COUNT } from "./grid.js";
+import { LINE_PERMUTATIONS, transposeCells } from "./isomorphism.js";
+
+export function maskCells(puzzle) {
+  const cells = typeof puzzle === "string" ? Array.from(puzzle) : puzzle.flat();
+  return cells.map((value) => (Number(value) ? 1 : 0));
+}
+
+export function cluePattern(rows) {
+  const mask = maskCells(rows);
+  return canonicalForm(
+    Array.from({ length: 9 }, (_, row) => mask.slice(row * 9, row * 9 + 9))
+  );
+}
+
+function lineCounts(cells) {
+  const rows = Array(9).fill(0);
+  const cols = Array(9).fill(0);
+  cells.forEach((value, cell) => {
+    rows[Math.floor(cell / 9)] += value;
+    cols[cell % 9] += value;
+  });
+  const ascending = (first, second) => first - second;
+  return { rows: rows.sort(ascending), cols: cols.sort(ascending) };
+}
+
+function sortedDistance(first, second) {
+  return first.reduce(
+    (sum, value, index) => sum + Math.abs(value - second[index]),
+    0
+  );
+}
+
+function rowBits(cells, colOrder) {
+  return Array.from({ length: 9 }, (_, row) => {
+    let bits = 0;
+    for (let col = 0; col < 9; col += 1) {
+      if (cells[row * 9 + colOrder[col]]) bits |= 1 << col;
+    }
+    return bits;
+  });
+}
+
+export function alignPatterns(source, target, limit, goal = 0) {
+  const targetCounts = lineCounts(target);
+  const targetRows = rowBits(target, LINE_PERMUTATIONS[0]);
+  let best = null;
+
+  for (const transpose of [false, true]) {
+    const oriented = transpose ? transposeCells(source) : source;
+    const counts = lineCounts(oriented);
+    const lowerBound = Math.max(
+      sortedDistance(counts.rows, targetCounts.rows),
+      sortedDistance(counts.cols, targetCounts.cols)
+    );
+    if (lowerBound > (best ? best.distance - 1 : limit)) continue;
+
+    for (const colOrder of LINE_PERMUTATIONS) {
+      const sourceRows = rowBits(oriented, colOrder);
+      const rowOrder = new Array(9);
+      const usedRows = Array(9).fill(false);
+      const usedBands = [false, false, false];
+      const bandMap = new Array(3);
+
+      const place = (row, cost) => {
+        const budget = best ? best.distance - 1 : limit;
+        if (cost > budget || best?.distance <= goal) return;
+        if (row === 9) {
+          best = {
+            distance: cost,
+            transpose,
+            colOrder,
+            rowOrder: rowOrder.slice(),
+          };
+          return;
+        }
+
+        const targetBand = Math.floor(row / 3);
+        const bands =
+          row % 3 === 0
+            ? [0, 1, 2].filter((band) => !usedBands[band])
+            : [bandMap[targetBand]];
+
+        for (const band of bands) {
+          if (row % 3 === 0) {
+            bandMap[targetBand] = band;
+            usedBands[band] = true;
+          }
+          for (let offset = 0; offset < 3; offset += 1) {
+            const sourceRow = band * 3 + offset;
+            if (usedRows[sourceRow]) continue;
+            usedRows[sourceRow] = true;
+            rowOrder[row] = sourceRow;
+            place(
+              row + 1,
+              cost + BIT_COUNT[sourceRows[sourceRow] ^ targetRows[row]]
+            );
+            usedRows[sourceRow] = false;
+          }
+          if (row % 3 === 0) {
+            usedBands[band] = false;
+          }
+        }
+      };
+
+      place(0, 0);
+      if (best?.distance <= goal) break;
+    }
+    if (best?.distance <= goal) break;
+  }
+
+  if (!best) return null;
+
+  const oriented = best.transpose ? transposeCells(source) : source;
+  const overlay = Array.from({ length: 81 }, (_, cell) => {
+    const row = best.rowOrder[Math.floor(cell / 9)];
+    const col = best.colOrder[cell % 9];
+    return oriented[row * 9 + col];
+  });
+  return { distance: best.distance, overlay };
+}
+
+export function findSamePattern(rows, entries, limit) {
+  const source = maskCells(rows);
+  const sourcePattern = cluePattern(rows);
+  const canonicalSource = maskCells(sourcePattern);
+  const distances = new Map();
+  const matches = [];
+
+  entries.forEach((entry) => {
+    if (!entry.cluePattern || !entry.puzzle) return;
+    if (!distances.has(entry.cluePattern)) {
+      distances.set(
+        entry.cluePattern,
+        alignPatterns(canonicalSource, maskCells(entry.cluePattern), limit)
+          ?.distance ?? null
+      );
+    }
+
+    const distance = distances.get(entry.cluePattern);
+    if (distance === null) return;
+    const alignment = alignPatterns(
+      source,
+      maskCells(entry.puzzle),
+      distance,
+      distance
+    );
+    matches.push({
+      name: entry.name,
+      distance,
+      overlay: alignment.overlay.join(""),
+    });
+  });
+
+  matches.sort((first, second) => first.distance - second.distance);
+  return { pattern: sourcePattern, matches };
+}
@@ -0,0 +1,154 @@
+const TOKEN_PATTERN = /[^\s"]+(?:"[^"]*")?|"[^"]*"/g;
+const CONSTRAINT_PREFIX = /^(?:r\d+c\d+|clues|row\d*|col\d*)[:=<>!]/i;
+
+export const SEARCH_HELP =
+  'Search by name or content: r1c1=8, clues=17, clues<20, "17 clues", row=054007029, row 0 5 4 0 0 7 0 2 9, col3=..5..1..., an 81-character pattern with . wildcards, or ~2 to allow near matches.';
+
+function emptyQuery() {
+  return {
+    names: [],
+    clues: [],
+    cells: [],
+    patterns: [],
+    lines: [],
+    tolerance: 0,
+    hasContent: false,
+  };
+}
+
+function readLine(text) {
+  const line = text.replace(/["\s]/g, "");
+  return /^[0-9.]{9}$/.test(line) ? line : null;
+}
+
+function parseToken(token, query) {
+  const cell = token.match(/^r([1-9])c([1-9])[:=]([0-9.])$/i);
+  if (cell) {
+    query.cells.push({
+      index: (Number(cell[1]) - 1) * 9 + Number(cell[2]) - 1,
+      value: cell[3] === "." ? "0" : cell[3],
+    });
+    return true;
+  }
+
+  const clues = token.match(/^clues(<=|>=|<|>|=|:)(\d+)$/i);
+  if (clues) {
+    query.clues.push({
+      operator: clues[1] === ":" ? "=" : clues[1],
+      count: Number(clues[2]),
+    });
+    return true;
+  }
+
+  const line = token.match(/^(row|col)([1-9])?[:=](.+)$/i);
+  if (line) {
+    const cells = readLine(line[3]);
+    if (!cells) return false;
+    query.lines.push({
+      kind: line[1].toLowerCase(),
+      index: line[2] ? Number(line[2]) - 1 : null,
+      cells,
+    });
+    return true;
+  }
+
+  if (/^[0-9.]{81}$/.test(token)) {
+    query.patterns.push(token);
+    return true;
+  }
+
+  const tolerance = token.match(/^~(\d+)$/);
+  if (tolerance) {
+    query.tolerance = Number(tolerance[1]);
+    return true;
+  }
+
+  return null;
+}
+
+export function parseSearchQuery(text) {
+  const query = emptyQuery();
+  const normalized = text
+    .replace(
+      /(")?(?:exactly\s+)?\b(\d+)\s+clues\b\1(?![:=<>!])/gi,
+      (_, quote, count) => `clues=${count}`
+    )
+    .replace(
+      /(?:contains\s+)?\b(row|col)([1-9]?)(?:\s*[:=]\s*|\s+)((?:[0-9.]\s+){8}[0-9.])(?![0-9.])/gi,
+      (_, kind, index, cells) => `${kind}${index}=${cells.replace(/\s+/g, "")}`
+    );
+
+  for (const token of normalized.match(TOKEN_PATTERN) ?? []) {
+    const parsed = parseToken(token, query);
+    if (
+      parsed === false ||
+      (parsed === null && CONSTRAINT_PREFIX.test(token))
+    ) {
+      return { query: null, error: `Could not understand "${token}".` };
+    }
+    if (parsed === null) {
+      query.names.push(token.replace(/"/g, "").toLowerCase());
+    } else {
+      query.hasContent = true;
+    }
+  }
+
+  return { query, error: "" };
+}
+
+function compareCount(count, { operator, count: target }) {
+  if (operator === "<") return count < target;
+  if (operator === ">") return count > target;
+  if (operator === "<=") return count <= target;
+  if (operator === ">=") return count >= target;
+  return count === target;
+}
+
+function lineCells(puzzle, kind, index) {
+  return Array.from({ length: 9 }, (_, offset) =>
+    kind === "row" ? puzzle[index * 9 + offset] : puzzle[offset * 9 + index]
+  );
+}
+
+function countMismatches(pattern, cells) {
+  let mismatches = 0;
+  for (let index = 0; index < pattern.length; index += 1) {
+    if (pattern[index] !== "." && pattern[index] !== cells[index]) {
+      mismatches += 1;
+    }
+  }
+  return mismatches;
+}
+
+export function scoreSearchEntry(query, entry) {
+  const name = entry.name.toLowerCase();
+  if (!query.names.every((term) => name.includes(term))) return null;
+  if (!query.hasContent) return 0;
+
+  const { puzzle } = entry;
+  if (!puzzle) return null;
+  if (
+    !query.clues.every((constraint) => compareCount(entry.clues, constraint))
+  ) {
+    return null;
+  }
+
+  let mismatches = 0;
+  query.cells.forEach(({ index, value }) => {
+    if (puzzle[index] !== value) mismatches += 1;
+  });
+  query.patterns.forEach((pattern) => {
+    mismatches += countMismatches(pattern, puzzle);
+  });
+  query.lines.forEach(({ kind, index, cells }) => {
+    const candidates =
+      index === null ? Array.from({ length: 9 }, (_, line) => line) : [index];
+    mismatches += Math.min(
+      ...candidates.map((line) =>
+        countMismatches(cells, lineCells(puzzle, kind, line))
+      )
+    );
+  });
+
+  return mismatches <= query.tolerance ? mismatches : null;
+}
@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import { parseSearchQuery, scoreSearchEntry } from "./contentSearch.js";
+
+const entry = {
+  name: "100344",
+  clues: 25,
+  puzzle:
+    "000000000054007029100000000000000000000000000000000000000000000000000000000000000",
+};
+
+describe("parseSearchQuery", () => {
+  it("finds a row written as space-separated digits", () => {
+    const { query, error } = parseSearchQuery("contains row 0 5 4 0 0 7 0 2 9");
+    expect(error).toBe("");
+    expect(query.names).toEqual([]);
+    expect(query.lines).toEqual([
+      { kind: "row", index: null, cells: "054007029" },
+    ]);
+    expect(scoreSearchEntry(query, entry)).toBe(0);
+  });
+
+  it("accepts spaced digits after row= and a numbered column", () => {
+    expect(parseSearchQuery("row2=0 5 4 0 0 7 0 2 9").query.lines).toEqual([
+      { kind: "row", index: 1, cells: "054007029" },
+    ]);
+    expect(parseSearchQuery("col3 . . 5 . . 1 . . .").query.lines).toEqual([
+      { kind: "col", index: 2, cells: "..5..1..." },
+    ]);
+  });
+
+  it("reads a quoted clue phrase as a clue count", () => {
+    const { query, error } = parseSearchQuery('"17 clues"');
+    expect(error).toBe("");
+    expect(query.names).toEqual([]);
+    expect(query.clues).toEqual([{ operator: "=", count: 17 }]);
+    expect(parseSearchQuery('"exactly 25 clues"').query.clues).toEqual([
+      { operator: "=", count: 25 },
+    ]);
+  });
+});
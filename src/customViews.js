@@ -0,0 +1,207 @@
+const storageKey = "sudoku-custom-views";
+
+export const SOLUTION_FILTERS = [
+  { id: "", label: "Any" },
+  { id: "unique", label: "Unique solution" },
+  { id: "multiple", label: "Multiple solutions" },
+  { id: "invalid", label: "Invalid or unsolvable" },
+];
+
+export const ID_FILTER_HELP =
+  "Space-separated terms, all of which must hold: %25=0 (modulus and residues, e.g. %7=1,3), 1000-1999 (range), 12,40,100344 (list of ids or ranges).";
+
+export const DEFAULT_VIEWS = [
+  {
+    id: "solved_mod25",
+    name: "Solved (id % 25 = 0)",
+    ids: "%25=0",
+    technique: "",
+    solutions: "",
+    minClues: "",
+    maxClues: "",
+    autoSolve: true,
+    showSolution: true,
+  },
+];
+
+const VIEW_FIELDS = Object.keys(DEFAULT_VIEWS[0]);
+
+export function createView(overrides = {}) {
+  return {
+    id: "",
+    name: "",
+    ids: "",
+    technique: "",
+    solutions: "",
+    minClues: "",
+    maxClues: "",
+    autoSolve: false,
+    showSolution: false,
+    ...overrides,
+  };
+}
+
+export function slugifyViewName(name, takenIds = []) {
+  const base =
+    String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "")
+      .slice(0, 40) || "view";
+  let id = base;
+  for (let suffix = 2; takenIds.includes(id); suffix += 1) {
+    id = `${base}_${suffix}`;
+  }
+  return id;
+}
+
+function parseIdTerm(term) {
+  const modulus = term.match(/^%(\d+)=(\d+(?:,\d+)*)$/);
+  if (modulus) {
+    const divisor = Number(modulus[1]);
+    if (divisor < 1)
+      return { error: `Modulus must be at least 1 in "${term}".` };
+    const residues = new Set(modulus[2].split(",").map(Number));
+    return { test: (id) => residues.has(id % divisor) };
+  }
+
+  const parts = term.split(",").filter(Boolean);
+  const ranges = [];
+  for (const part of parts) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) return { error: `Could not understand "${term}".` };
+    const from = Number(match[1]);
+    const to = match[2] === undefined ? from : Number(match[2]);
+    if (from > to) return { error: `Range "${part}" is reversed.` };
+    ranges.push({ from, to });
+  }
+  return {
+    test: (id) => ranges.some(({ from, to }) => id >= from && id <= to),
+  };
+}
+
+export function compileIdFilter(text) {
+  const terms = String(text ?? "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const tests = [];
+  for (const term of terms) {
+    const { test, error } = parseIdTerm(term);
+    if (error) return { predicate: () => false, error };
+    tests.push(test);
+  }
+  if (!tests.length) return { predicate: () => true, error: "" };
+  return {
+    predicate: (name) => {
+      const id = Number(name);
+      return Number.isInteger(id) && tests.every((test) => test(id));
+    },
+    error: "",
+  };
+}
+
+function readClueBound(value) {
+  const count = Number.parseInt(value, 10);
+  return Number.isInteger(count) ? count : null;
+}
+
+function matchesSolutions(entry, filter) {
+  const invalid = entry.errors?.length > 0 || entry.solvable === false;
+  if (filter === "invalid") return invalid;
+  if (filter === "unique") return !invalid && entry.unique === true;
+  if (filter === "multiple") return !invalid && entry.unique === false;
+  return true;
+}
+
+export function compileView(view) {
+  const ids = compileIdFilter(view.ids);
+  const minClues = readClueBound(view.minClues);
+  const maxClues = readClueBound(view.maxClues);
+  return {
+    error: ids.error,
+    predicate: (entry) =>
+      ids.predicate(entry.name) &&
+      (!view.technique || entry.rating?.hardest === view.technique) &&
+      matchesSolutions(entry, view.solutions) &&
+      (minClues === null || entry.clues >= minClues) &&
+      (maxClues === null || entry.clues <= maxClues),
+  };
+}
+
+export function describeView(view) {
+  const parts = [];
+  if (view.ids.trim()) parts.push(`ids ${view.ids.trim()}`);
+  if (view.technique) parts.push(`hardest ${view.technique}`);
+  const solutions = SOLUTION_FILTERS.find(({ id }) => id === view.solutions);
+  if (view.solutions && solutions) parts.push(solutions.label.toLowerCase());
+  if (view.minClues !== "") parts.push(`clues ≥ ${view.minClues}`);
+  if (view.maxClues !== "") parts.push(`clues ≤ ${view.maxClues}`);
+  if (view.autoSolve) parts.push("auto-solve");
+  if (view.showSolution) parts.push("solved grids");
+  return parts.join(", ") || "all puzzles";
+}
+
+function normalizeView(value) {
+  if (!value || typeof value !== "object") return null;
+  const view = createView();
+  VIEW_FIELDS.forEach((field) => {
+    if (value[field] === undefined) return;
+    view[field] =
+      typeof view[field] === "boolean"
+        ? Boolean(value[field])
+        : String(value[field]);
+  });
+  return /^[a-z0-9_]+$/.test(view.id) && view.name ? view : null;
+}
+
+export function viewsAreEqual(first, second) {
+  return VIEW_FIELDS.every((field) => first?.[field] === second?.[field]);
+}
+
+export function encodeView(view) {
+  return JSON.stringify(VIEW_FIELDS.map((field) => view[field]));
+}
+
+export function decodeView(text) {
+  try {
+    const values = JSON.parse(text);
+    if (!Array.isArray(values)) return null;
+    return normalizeView(
+      Object.fromEntries(
+        VIEW_FIELDS.map((field, index) => [field, values[index]])
+      )
+    );
+  } catch {
+    return null;
+  }
+}
+
+export function loadCustomViews() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(storageKey));
+    if (!Array.isArray(saved)) return DEFAULT_VIEWS;
+    return saved.map(normalizeView).filter(Boolean);
+  } catch {
+    return DEFAULT_VIEWS;
+  }
+}
+
+export function saveCustomViews(views) {
+  try {
+    window.localStorage.setItem(storageKey, JSON.stringify(views));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function resolveSharedView(state, views, reservedIds = []) {
+  const shared = decodeView(state.viewdef);
+  if (!shared || shared.id !== state.view) return null;
+  const saved = views.find((view) => view.id === shared.id);
+  if (saved && viewsAreEqual(saved, shared)) return null;
+  if (!saved && !reservedIds.includes(shared.id)) return shared;
+  const takenIds = [...reservedIds, ...views.map((view) => view.id)];
+  return { ...shared, id: slugifyViewName(shared.name, takenIds) };
+}
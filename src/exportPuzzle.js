@@ -0,0 +1,283 @@
+import { describeStep, formatPipeline } from "./transformPipeline.js";
+
+export const EXPORT_FORMATS = [
+  { id: "line", label: "81-char string", extension: "txt", mime: "text/plain" },
+  { id: "txt", label: "Nine-line .txt", extension: "txt", mime: "text/plain" },
+  { id: "sdk", label: "SadMan .sdk", extension: "sdk", mime: "text/plain" },
+  { id: "json", label: "JSON", extension: "json", mime: "application/json" },
+  { id: "svg", label: "SVG", extension: "svg", mime: "image/svg+xml" },
+  { id: "png", label: "PNG", extension: "png", mime: "image/png" },
+];
+
+export const EXPORT_SCALES = [1, 2, 3, 4];
+
+const baseCellSize = 40;
+const baseMargin = 16;
+
+export function describeTransform(steps) {
+  if (!steps?.length) return [];
+  return [
+    ...steps.map((step, index) => `${index + 1}. ${describeStep(step)}`),
+    `Pipeline: ${formatPipeline(steps)}`,
+  ];
+}
+
+function headerLines({ name, source, transform }) {
+  const applied = describeTransform(transform);
+  return [
+    `Sudoku ${name} (${source})`,
+    ...(applied.length
+      ? ["Transform, applied in this order:", ...applied]
+      : ["Transform: none"]),
+  ];
+}
+
+// The 81-char export has no room for a header, so the transform rides along in
+// the file name instead.
+function transformSlug(steps) {
+  if (!steps?.length) return "";
+  return formatPipeline(steps)
+    .split("; ")
+    .map((step) =>
+      step
+        .toLowerCase()
+        .replace(/\s+/g, "-")
+        .replace(/[^a-z0-9()+,=-]/g, "")
+    )
+    .join("_");
+}
+
+function toLine(rows) {
+  return rows
+    .flat()
+    .map((value) => (value ? String(value) : "."))
+    .join("");
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderSvg({ rows, baseRows, scale, title, description }) {
+  const cellSize = baseCellSize * scale;
+  const margin = baseMargin * scale;
+  const gridSize = cellSize * 9;
+  const size = gridSize + margin * 2;
+  const digits = [];
+  const lines = [];
+
+  for (let row = 0; row < 9; row += 1) {
+    for (let col = 0; col < 9; col += 1) {
+      const value = rows[row][col];
+      if (!value) continue;
+      const given = baseRows?.[row]?.[col];
+      digits.push(
+        `<text x="${col * cellSize + cellSize / 2}" y="${
+          row * cellSize + cellSize / 2
+        }" fill="${given ? "#111827" : "#1d4ed8"}">${value}</text>`
+      );
+    }
+  }
+
+  for (let i = 0; i <= 9; i += 1) {
+    const width = (i % 3 === 0 ? 2 : 1) * scale;
+    const offset = i * cellSize;
+    lines.push(
+      `<line x1="0" y1="${offset}" x2="${gridSize}" y2="${offset}" stroke-width="${width}"/>`,
+      `<line x1="${offset}" y1="0" x2="${offset}" y2="${gridSize}" stroke-width="${width}"/>`
+    );
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`,
+    `<title>${escapeXml(title)}</title>`,
+    `<desc>${escapeXml(description)}</desc>`,
+    `<rect width="${size}" height="${size}" fill="#ffffff"/>`,
+    `<g transform="translate(${margin} ${margin})">`,
+    `<g font-family="system-ui, -apple-system, sans-serif" font-size="${
+      20 * scale
+    }" text-anchor="middle" dominant-baseline="central">`,
+    ...digits,
+    "</g>",
+    '<g stroke="#111827">',
+    ...lines,
+    "</g>",
+    "</g>",
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+function renderCanvas({ rows, baseRows, scale }) {
+  const cellSize = baseCellSize * scale;
+  const margin = baseMargin * scale;
+  const gridSize = cellSize * 9;
+  const canvasSize = gridSize + margin * 2;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = canvasSize;
+  canvas.height = canvasSize;
+
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvasSize, canvasSize);
+  ctx.translate(margin, margin);
+
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.font = `${20 * scale}px system-ui, -apple-system, sans-serif`;
+
+  for (let row = 0; row < 9; row += 1) {
+    for (let col = 0; col < 9; col += 1) {
+      const value = rows[row][col];
+      if (!value) continue;
+      ctx.fillStyle = baseRows?.[row]?.[col] ? "#111827" : "#1d4ed8";
+      ctx.fillText(
+        String(value),
+        col * cellSize + cellSize / 2,
+        row * cellSize + cellSize / 2
+      );
+    }
+  }
+
+  ctx.strokeStyle = "#111827";
+  for (let i = 0; i <= 9; i += 1) {
+    ctx.lineWidth = (i % 3 === 0 ? 2 : 1) * scale;
+
+    ctx.beginPath();
+    ctx.moveTo(0, i * cellSize);
+    ctx.lineTo(gridSize, i * cellSize);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.moveTo(i * cellSize, 0);
+    ctx.lineTo(i * cellSize, gridSize);
+    ctx.stroke();
+  }
+
+  return canvas;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit += 1) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function textChunk(keyword, text) {
+  const data = new TextEncoder().encode(`${keyword}\0${text}`);
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(new TextEncoder().encode("tEXt"), 4);
+  chunk.set(data, 8);
+  view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+  return chunk;
+}
+
+async function renderPng({ rows, baseRows, scale, description }) {
+  const canvas = renderCanvas({ rows, baseRows, scale });
+  const blob = await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/png")
+  );
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const headerEnd = 8 + 25;
+  const comment = textChunk(
+    "Description",
+    description.replace(/[^\x20-\x7e\n]/g, "")
+  );
+  return new Blob(
+    [bytes.subarray(0, headerEnd), comment, bytes.subarray(headerEnd)],
+    { type: "image/png" }
+  );
+}
+
+export async function exportBoard({
+  name,
+  source,
+  rows,
+  baseRows,
+  transform,
+  format,
+  scale = 1,
+}) {
+  const formatInfo = EXPORT_FORMATS.find((item) => item.id === format);
+  const header = headerLines({ name, source, transform });
+  const comments = header.map((line) => `# ${line}`);
+  const slug = format === "line" ? transformSlug(transform) : "";
+  const fileName = `${name}-${source}${format === "line" ? "-line" : ""}${
+    slug ? `-${slug}` : ""
+  }.${formatInfo.extension}`;
+
+  let content;
+  if (format === "line") {
+    content = `${toLine(rows)}\n`;
+  } else if (format === "txt") {
+    content = [...comments, ...rows.map((row) => row.join(" ")), ""].join("\n");
+  } else if (format === "sdk") {
+    content = [
+      ...header.map((line) => `#C ${line}`),
+      "[Puzzle]",
+      ...rows.map((row) => row.map((value) => value || ".").join("")),
+      "",
+    ].join("\n");
+  } else if (format === "json") {
+    content = `${JSON.stringify(
+      {
+        name,
+        source,
+        transform: transform?.length ? formatPipeline(transform) : null,
+        description: header,
+        puzzle: toLine(rows),
+        rows,
+        givens: baseRows ? toLine(baseRows) : undefined,
+      },
+      null,
+      2
+    )}\n`;
+  } else if (format === "svg") {
+    content = renderSvg({
+      rows,
+      baseRows,
+      scale,
+      title: header[0],
+      description: header.slice(1).join("\n"),
+    });
+  } else {
+    content = await renderPng({
+      rows,
+      baseRows,
+      scale,
+      description: header.join("\n"),
+    });
+  }
+
+  const blob =
+    content instanceof Blob
+      ? content
+      : new Blob([content], { type: formatInfo.mime });
+  return { blob, fileName };
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.download = fileName;
+  link.href = url;
+  link.click();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
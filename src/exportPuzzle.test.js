@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { exportBoard } from "./exportPuzzle.js";
+import { rowsFromPuzzleString } from "./parsePuzzle.js";
+import { createStep } from "./transformPipeline.js";
+
+const puzzle =
+  "530070000600195000098000060800060003400803001700020006060000280000419005000080079";
+const rows = rowsFromPuzzleString(puzzle);
+
+describe("exportBoard", () => {
+  it("exports the 81-char string as a single line", async () => {
+    const { blob } = await exportBoard({
+      name: "100344",
+      source: "givens",
+      rows,
+      baseRows: rows,
+      format: "line",
+    });
+    expect(await blob.text()).toBe(`${puzzle.replace(/0/g, ".")}\n`);
+  });
+
+  it("names the 81-char export after the applied transform", async () => {
+    const { fileName } = await exportBoard({
+      name: "100344",
+      source: "transformed",
+      rows,
+      baseRows: rows,
+      transform: [createStep("rows", "(1 2)(4 5)"), createStep("rotate", "90")],
+      format: "line",
+    });
+    expect(fileName).toBe(
+      "100344-transformed-line-rows-(1-2)(4-5)_rotate-90.txt"
+    );
+  });
+
+  it("strokes only the grid lines in the SVG", async () => {
+    const { blob } = await exportBoard({
+      name: "100344",
+      source: "givens",
+      rows,
+      baseRows: rows,
+      format: "svg",
+    });
+    const svg = await blob.text();
+    const digitGroup = svg.slice(
+      svg.indexOf("<text"),
+      svg.lastIndexOf("</text>")
+    );
+    expect(digitGroup).not.toContain("stroke");
+    expect(svg).toContain('<g stroke="#111827">\n<line');
+  });
+});
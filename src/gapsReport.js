@@ -0,0 +1,115 @@
+export const RESIDUE_MODULI = [2, 5, 10, 25, 50, 100];
+
+export function findGaps(ids) {
+  const gaps = [];
+  for (let index = 1; index < ids.length; index += 1) {
+    const from = ids[index - 1] + 1;
+    const to = ids[index] - 1;
+    if (from <= to) gaps.push({ from, to, size: to - from + 1 });
+  }
+  return gaps;
+}
+
+export function rankGaps(gaps) {
+  return gaps
+    .slice()
+    .sort(
+      (first, second) => second.size - first.size || first.from - second.from
+    );
+}
+
+function countResidue(from, to, modulus, residue) {
+  return (
+    Math.floor((to - residue) / modulus) -
+    Math.floor((from - 1 - residue) / modulus)
+  );
+}
+
+export function residueCoverage(ids, modulus) {
+  if (!ids.length) return [];
+  const from = ids[0];
+  const to = ids[ids.length - 1];
+  const present = Array(modulus).fill(0);
+  ids.forEach((id) => {
+    present[id % modulus] += 1;
+  });
+  return present.map((count, residue) => {
+    const expected = countResidue(from, to, modulus, residue);
+    return {
+      residue,
+      present: count,
+      expected,
+      missing: expected - count,
+      share: expected ? count / expected : 0,
+    };
+  });
+}
+
+export function buildGapsReport(ids, modulus = 25) {
+  const gaps = findGaps(ids);
+  const from = ids[0] ?? null;
+  const to = ids[ids.length - 1] ?? null;
+  const span = ids.length ? to - from + 1 : 0;
+  return {
+    from,
+    to,
+    present: ids.length,
+    missing: span - ids.length,
+    gaps,
+    ranked: rankGaps(gaps),
+    modulus,
+    residues: residueCoverage(ids, modulus),
+  };
+}
+
+export function describeGap(gap) {
+  return gap.from === gap.to ? String(gap.from) : `${gap.from}-${gap.to}`;
+}
+
+export function gapContributeUrl(contributeUrl, gap) {
+  const url = new URL(contributeUrl.replace("/tree/", "/new/"));
+  url.searchParams.set("filename", `${gap.from}.txt`);
+  return url.href;
+}
+
+function formatShare(share) {
+  return `${(share * 100).toFixed(2)}%`;
+}
+
+export function formatGapsText(report, contributeUrl) {
+  const lines = [
+    `Missing ids between ${report.from} and ${report.to}`,
+    `Present: ${report.present}`,
+    `Missing: ${report.missing} in ${report.gaps.length} gaps`,
+    `Contribute: ${contributeUrl}`,
+    "",
+    "Largest gaps:",
+    ...report.ranked
+      .slice(0, 25)
+      .map(
+        (gap, index) =>
+          `${String(index + 1).padStart(3)}. ${describeGap(gap)} (${gap.size} ids)`
+      ),
+    "",
+    `Coverage by id % ${report.modulus}:`,
+    ...report.residues.map(
+      (row) =>
+        `${String(row.residue).padStart(3)}: ${row.present}/${row.expected} (${formatShare(row.share)})`
+    ),
+    "",
+    "All gaps:",
+    ...report.gaps.map(describeGap),
+  ];
+  return `${lines.join("\n")}\n`;
+}
+
+export function formatGapsCsv(report) {
+  const ranks = new Map(report.ranked.map((gap, index) => [gap, index + 1]));
+  const rows = [
+    "from,to,size,rank",
+    ...report.gaps.map(
+      (gap) => `${gap.from},${gap.to},${gap.size},${ranks.get(gap)}`
+    ),
+  ];
+  return `${rows.join("\n")}\n`;
+}
@@ -0,0 +1,15 @@
+import { describe, expect, it } from "vitest";
+import { findGaps, gapContributeUrl } from "./gapsReport.js";
+
+const contributeUrl =
+  "https://github.com/danicax/mrbeast_sudoku/tree/main/public/sudokus";
+
+describe("gapContributeUrl", () => {
+  it("opens a new file named after the first missing id", () => {
+    const [gap] = findGaps([100, 101, 105]);
+    expect(gap).toMatchObject({ from: 102, to: 104 });
+    expect(gapContributeUrl(contributeUrl, gap)).toBe(
+      "https://github.com/danicax/mrbeast_sudoku/new/main/public/sudokus?filename=102.txt"
+    );
+  });
+});
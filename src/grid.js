@@ -0,0 +1,83 @@
+export const ALL_CANDIDATES = 0x1ff;
+
+export const BIT_COUNT = new Uint8Array(1 << 9);
+for (let mask = 1; mask < BIT_COUNT.length; mask += 1) {
+  BIT_COUNT[mask] = BIT_COUNT[mask >> 1] + (mask & 1);
+}
+
+export const ROW_UNITS = Array.from({ length: 9 }, (_, row) =>
+  Array.from({ length: 9 }, (_, col) => row * 9 + col)
+);
+
+export const COL_UNITS = Array.from({ length: 9 }, (_, col) =>
+  Array.from({ length: 9 }, (_, row) => row * 9 + col)
+);
+
+export const BOX_UNITS = Array.from({ length: 9 }, (_, box) => {
+  const boxRow = Math.floor(box / 3) * 3;
+  const boxCol = (box % 3) * 3;
+  return Array.from(
+    { length: 9 },
+    (_, offset) => (boxRow + Math.floor(offset / 3)) * 9 + boxCol + (offset % 3)
+  );
+});
+
+export const UNITS = [...ROW_UNITS, ...COL_UNITS, ...BOX_UNITS];
+
+export const CELL_UNITS = Array.from({ length: 81 }, (_, cell) => [
+  rowOf(cell),
+  9 + colOf(cell),
+  18 + boxOf(cell),
+]);
+
+export const PEERS = Array.from({ length: 81 }, (_, cell) => {
+  const peers = new Set();
+  CELL_UNITS[cell].forEach((unitIndex) => {
+    UNITS[unitIndex].forEach((peer) => {
+      if (peer !== cell) peers.add(peer);
+    });
+  });
+  return Array.from(peers);
+});
+
+export function rowOf(cell) {
+  return Math.floor(cell / 9);
+}
+
+export function colOf(cell) {
+  return cell % 9;
+}
+
+export function boxOf(cell) {
+  return Math.floor(rowOf(cell) / 3) * 3 + Math.floor(colOf(cell) / 3);
+}
+
+export function sees(first, second) {
+  return (
+    first !== second &&
+    (rowOf(first) === rowOf(second) ||
+      colOf(first) === colOf(second) ||
+      boxOf(first) === boxOf(second))
+  );
+}
+
+export function digitFromBit(bit) {
+  return 32 - Math.clz32(bit);
+}
+
+export function digitsOf(mask) {
+  const digits = [];
+  for (let digit = 1; digit <= 9; digit += 1) {
+    if (mask & (1 << (digit - 1))) digits.push(digit);
+  }
+  return digits;
+}
+
+export function unitName(unitIndex) {
+  const kind = ["row", "column", "box"][Math.floor(unitIndex / 9)];
+  return `${kind} ${(unitIndex % 9) + 1}`;
+}
+
+export function cellName(cell) {
+  return `r${rowOf(cell) + 1}c${colOf(cell) + 1}`;
+}
@@ -0,0 +1,116 @@
+export const BIN_SIZES = [1, 10, 100, 1000, 10000, 100000];
+
+export function numericIds(entries) {
+  return entries
+    .map((entry) => Number(entry.name))
+    .filter((value) => Number.isInteger(value))
+    .sort((first, second) => first - second);
+}
+
+export function parseIdRange(text) {
+  const match = String(text ?? "").match(/^(\d+)-(\d+)$/);
+  if (!match) return null;
+  const from = Number(match[1]);
+  const to = Number(match[2]);
+  return from <= to ? { from, to } : null;
+}
+
+export function formatIdRange(range) {
+  return range ? `${range.from}-${range.to}` : "";
+}
+
+export function countInRange(ids, from, to) {
+  return upperBound(ids, to) - lowerBound(ids, from);
+}
+
+function lowerBound(ids, value) {
+  let low = 0;
+  let high = ids.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (ids[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+function upperBound(ids, value) {
+  return lowerBound(ids, value + 1);
+}
+
+export function pickBinSize(from, to, maxBins = 120) {
+  const span = to - from + 1;
+  return (
+    BIN_SIZES.find((size) => Math.ceil(span / size) <= maxBins) ??
+    BIN_SIZES[BIN_SIZES.length - 1]
+  );
+}
+
+export function histogram(ids, { from, to, binSize }) {
+  const start = Math.floor(from / binSize) * binSize;
+  const bins = [];
+  for (let binStart = start; binStart <= to; binStart += binSize) {
+    const binEnd = binStart + binSize - 1;
+    bins.push({
+      from: binStart,
+      to: binEnd,
+      count: countInRange(ids, binStart, binEnd),
+    });
+  }
+  return bins;
+}
+
+export function cumulativeCoverage(ids, bins) {
+  const before = lowerBound(ids, bins[0]?.from ?? 0);
+  let running = before;
+  return bins.map((bin) => {
+    running += bin.count;
+    return {
+      ...bin,
+      total: running,
+      share: ids.length ? running / ids.length : 0,
+    };
+  });
+}
+
+export function densityRows(ids, { from, to, rowSize, cellSize }) {
+  const start = Math.floor(from / rowSize) * rowSize;
+  const rows = [];
+  for (let rowStart = start; rowStart <= to; rowStart += rowSize) {
+    const cells = [];
+    for (let offset = 0; offset < rowSize; offset += cellSize) {
+      const cellFrom = rowStart + offset;
+      const cellTo = cellFrom + cellSize - 1;
+      const count = countInRange(ids, cellFrom, cellTo);
+      cells.push({
+        from: cellFrom,
+        to: cellTo,
+        count,
+        density: count / cellSize,
+      });
+    }
+    rows.push({ from: rowStart, to: rowStart + rowSize - 1, cells });
+  }
+  return rows;
+}
+
+export function findNearestIndex(entries, name) {
+  const target = String(name ?? "").trim();
+  if (!target) return -1;
+  const exact = entries.findIndex((entry) => entry.name === target);
+  if (exact !== -1 || !/^\d+$/.test(target)) return exact;
+
+  const value = Number(target);
+  let best = -1;
+  let bestDistance = Infinity;
+  entries.forEach((entry, index) => {
+    const id = Number(entry.name);
+    if (!Number.isInteger(id)) return;
+    const distance = Math.abs(id - value);
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
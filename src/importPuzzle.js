@@ -0,0 +1,181 @@
+import { parsePuzzle } from "./parsePuzzle.js";
+
+export const IMPORT_FORMATS = {
+  json: "JSON",
+  line: "81-character string",
+  sdk: "SadMan .sdk",
+  ss: "Simple Sudoku .ss",
+  text: "Digit rows",
+};
+
+const EXTENSION_FORMATS = {
+  json: "json",
+  sdk: "sdk",
+  ss: "ss",
+};
+
+function cellValue(char) {
+  return char === "." || char === "0" ? 0 : Number.parseInt(char, 10);
+}
+
+function rowsFromCells(cells) {
+  return Array.from({ length: 9 }, (_, row) =>
+    cells.slice(row * 9, row * 9 + 9)
+  );
+}
+
+function parseCellLines(lines) {
+  const rows = [];
+  const errors = [];
+
+  lines.forEach((line, index) => {
+    const invalid = line.match(/[^0-9.]/g);
+    if (invalid) {
+      errors.push(
+        `Row ${index + 1} contains unexpected characters: ${JSON.stringify(
+          Array.from(new Set(invalid)).join("")
+        )}.`
+      );
+    }
+    if (line.length !== 9) {
+      errors.push(`Row ${index + 1} has ${line.length} values, expected 9.`);
+    }
+    rows.push(Array.from(line.replace(/[^0-9.]/g, ""), cellValue));
+  });
+
+  if (rows.length !== 9) {
+    errors.push(`Puzzle has ${rows.length} rows, expected 9.`);
+  }
+
+  return { rows, errors };
+}
+
+function parseLine(text) {
+  const line = text.replace(/\s+/g, "");
+  if (line.length !== 81) {
+    return {
+      rows: [],
+      errors: [`Expected 81 characters, found ${line.length}.`],
+    };
+  }
+  return parseCellLines(line.match(/.{9}/g));
+}
+
+function parseSdk(text) {
+  const lines = [];
+  let section = "puzzle";
+  text.split(/\r?\n/).forEach((raw) => {
+    const line = raw.trim();
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      section = header[1].toLowerCase();
+      return;
+    }
+    if (!line || line.startsWith("#") || section !== "puzzle") return;
+    lines.push(line.replace(/\s+/g, ""));
+  });
+  return parseCellLines(lines);
+}
+
+function parseSs(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !/^[-+|*\s]+$/.test(line))
+    .map((line) => line.replace(/[|\s]/g, ""));
+  return parseCellLines(lines);
+}
+
+function normalizeJsonCell(value) {
+  if (value === null || value === "" || value === ".") return 0;
+  return typeof value === "string" ? Number.parseInt(value, 10) : value;
+}
+
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { rows: [], errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  if (data && !Array.isArray(data) && typeof data === "object") {
+    data = data.puzzle ?? data.grid ?? data.rows ?? data.givens;
+  }
+  if (typeof data === "string") {
+    return parseLine(data);
+  }
+  if (!Array.isArray(data)) {
+    return {
+      rows: [],
+      errors: ["JSON must be an array or an object with a puzzle field."],
+    };
+  }
+
+  const cells = data.every(Array.isArray)
+    ? data
+    : data.length === 81
+      ? rowsFromCells(data)
+      : data.map((row) =>
+          typeof row === "string" ? Array.from(row.replace(/\s+/g, "")) : row
+        );
+  const rows = cells.map((row) =>
+    Array.isArray(row) ? row.map(normalizeJsonCell) : []
+  );
+
+  const errors = [];
+  rows.forEach((row, index) => {
+    if (row.length !== 9) {
+      errors.push(`Row ${index + 1} has ${row.length} values, expected 9.`);
+    }
+    if (
+      row.some((value) => !Number.isInteger(value) || value < 0 || value > 9)
+    ) {
+      errors.push(`Row ${index + 1} must contain numbers 0-9.`);
+    }
+  });
+  if (rows.length !== 9) {
+    errors.push(`Puzzle has ${rows.length} rows, expected 9.`);
+  }
+
+  return { rows, errors };
+}
+
+const PARSERS = {
+  json: parseJson,
+  line: parseLine,
+  sdk: parseSdk,
+  ss: parseSs,
+  text: parsePuzzle,
+};
+
+function stripComments(text) {
+  return text
+    .split(/\r?\n/)
+    .filter((line) => !line.trim().startsWith("#"))
+    .join("\n");
+}
+
+export function detectPuzzleFormat(text, fileName = "") {
+  const extension = fileName.split(".").pop().toLowerCase();
+  if (fileName.includes(".") && EXTENSION_FORMATS[extension]) {
+    return EXTENSION_FORMATS[extension];
+  }
+
+  const trimmed = stripComments(text).trim();
+  if (trimmed.startsWith("[") && !/^\[\s*[a-z]/i.test(trimmed)) return "json";
+  if (trimmed.startsWith("{")) return "json";
+  if (/^\[[a-z]+\]/im.test(trimmed)) return "sdk";
+  if (/[|]/.test(trimmed) || /^[-+*\s]{9,}$/m.test(trimmed)) return "ss";
+  if (!/\n/.test(trimmed) && /^[0-9.\s]+$/.test(trimmed)) return "line";
+  if (/\./.test(trimmed)) return "sdk";
+  return "text";
+}
+
+export function importPuzzle(text, { fileName } = {}) {
+  const format = detectPuzzleFormat(text, fileName);
+  const { rows, errors } = PARSERS[format](
+    format === "json" ? text : stripComments(text)
+  );
+  return { format, rows, errors };
+}
@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { puzzleToString } from "./parsePuzzle.js";
+import { detectPuzzleFormat, importPuzzle } from "./importPuzzle.js";
+
+const simpleSudokuFile = `*-----------*
+|53.|.7.|...|
+|6..|195|...|
+|.98|...|.6.|
+|---+---+---|
+|8..|.6.|..3|
+|4..|8.3|..1|
+|7..|.2.|..6|
+|---+---+---|
+|.6.|...|28.|
+|...|419|..5|
+|...|.8.|.79|
+*-----------*
+`;
+
+const expected =
+  "530070000600195000098000060800060003400803001700020006060000280000419005000080079";
+
+describe("importPuzzle", () => {
+  it("imports a framed Simple Sudoku .ss file", () => {
+    const { format, rows, errors } = importPuzzle(simpleSudokuFile, {
+      fileName: "puzzle.ss",
+    });
+    expect(format).toBe("ss");
+    expect(errors).toEqual([]);
+    expect(puzzleToString(rows)).toBe(expected);
+  });
+
+  it("detects a framed .ss file without a file name", () => {
+    expect(detectPuzzleFormat(simpleSudokuFile)).toBe("ss");
+    const { errors, rows } = importPuzzle(simpleSudokuFile);
+    expect(errors).toEqual([]);
+    expect(puzzleToString(rows)).toBe(expected);
+  });
+});
@@ -0,0 +1,159 @@
+const TRIPLE_ORDERS = [
+  [0, 1, 2],
+  [0, 2, 1],
+  [1, 0, 2],
+  [1, 2, 0],
+  [2, 0, 1],
+  [2, 1, 0],
+];
+
+export const LINE_PERMUTATIONS = TRIPLE_ORDERS.flatMap((bands) =>
+  TRIPLE_ORDERS.flatMap((first) =>
+    TRIPLE_ORDERS.flatMap((second) =>
+      TRIPLE_ORDERS.map((third) => {
+        const within = [first, second, third];
+        return bands.flatMap((band, index) =>
+          within[index].map((offset) => band * 3 + offset)
+        );
+      })
+    )
+  )
+);
+
+export const SYMMETRY_GROUP_SIZE = 2 * LINE_PERMUTATIONS.length ** 2;
+
+export function flattenRows(rows) {
+  return rows.flatMap((row) => row.slice(0, 9));
+}
+
+export function transposeCells(cells) {
+  const result = new Array(81);
+  for (let row = 0; row < 9; row += 1) {
+    for (let col = 0; col < 9; col += 1) {
+      result[row * 9 + col] = cells[col * 9 + row];
+    }
+  }
+  return result;
+}
+
+function digitSignature(cells) {
+  const counts = Array(10).fill(0);
+  cells.forEach((value) => {
+    counts[value] += 1;
+  });
+  return [counts[0], ...counts.slice(1).sort((a, b) => a - b)].join(",");
+}
+
+function matchRows(source, target, colOrder) {
+  const digitMap = new Int8Array(10);
+  const inverseMap = new Int8Array(10);
+  const rowOrder = new Array(9);
+  const bandMap = new Array(3);
+  const usedBands = [false, false, false];
+  const usedRows = Array(9).fill(false);
+
+  const undo = (assigned) => {
+    assigned.forEach((digit) => {
+      inverseMap[digitMap[digit]] = 0;
+      digitMap[digit] = 0;
+    });
+  };
+
+  const tryRow = (targetRow, sourceRow) => {
+    const assigned = [];
+    for (let col = 0; col < 9; col += 1) {
+      const from = source[sourceRow * 9 + colOrder[col]];
+      const to = target[targetRow * 9 + col];
+      if (!from !== !to) {
+        undo(assigned);
+        return null;
+      }
+      if (!from) continue;
+
+      if (digitMap[from] === 0 && inverseMap[to] === 0) {
+        digitMap[from] = to;
+        inverseMap[to] = from;
+        assigned.push(from);
+      } else if (digitMap[from] !== to) {
+        undo(assigned);
+        return null;
+      }
+    }
+    return assigned;
+  };
+
+  const place = (targetRow) => {
+    if (targetRow === 9) return true;
+
+    const targetBand = Math.floor(targetRow / 3);
+    const bands =
+      targetRow % 3 === 0
+        ? [0, 1, 2].filter((band) => !usedBands[band])
+        : [bandMap[targetBand]];
+
+    for (const band of bands) {
+      if (targetRow % 3 === 0) {
+        bandMap[targetBand] = band;
+        usedBands[band] = true;
+      }
+
+      for (let offset = 0; offset < 3; offset += 1) {
+        const sourceRow = band * 3 + offset;
+        if (usedRows[sourceRow]) continue;
+
+        const assigned = tryRow(targetRow, sourceRow);
+        if (!assigned) continue;
+
+        usedRows[sourceRow] = true;
+        rowOrder[targetRow] = sourceRow;
+        if (place(targetRow + 1)) return true;
+        usedRows[sourceRow] = false;
+        undo(assigned);
+      }
+
+      if (targetRow % 3 === 0) {
+        usedBands[band] = false;
+      }
+    }
+    return false;
+  };
+
+  return place(0) ? { rowOrder, digitMap: Array.from(digitMap) } : null;
+}
+
+function orderToPairs(order) {
+  return order
+    .map((from, to) => ({ from: from + 1, to: to + 1 }))
+    .filter(({ from, to }) => from !== to);
+}
+
+export function findIsomorphism(sourceRows, targetRows) {
+  const source = flattenRows(sourceRows);
+  const target = flattenRows(targetRows);
+
+  if (digitSignature(source) !== digitSignature(target)) {
+    return null;
+  }
+
+  for (const transpose of [false, true]) {
+    const oriented = transpose ? transposeCells(target) : target;
+    for (const colOrder of LINE_PERMUTATIONS) {
+      const match = matchRows(source, oriented, colOrder);
+      if (!match) continue;
+
+      const digitPairs = [];
+      match.digitMap.forEach((to, from) => {
+        if (from && to && from !== to) digitPairs.push({ from, to });
+      });
+
+      return {
+        transpose,
+        digitPairs,
+        rowPairs: orderToPairs(match.rowOrder),
+        colPairs: orderToPairs(colOrder),
+      };
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { findIsomorphism, transposeCells } from "./isomorphism.js";
+
+const puzzle =
+  "530070000600195000098000060800060003400803001700020006060000280000419005000080079";
+
+function toGrid(text) {
+  return Array.from({ length: 9 }, (_, row) =>
+    Array.from(text.slice(row * 9, row * 9 + 9), Number)
+  );
+}
+
+function pairsToOrder(pairs) {
+  const order = Array.from({ length: 9 }, (_, index) => index);
+  pairs.forEach(({ from, to }) => {
+    order[to - 1] = from - 1;
+  });
+  return order;
+}
+
+// Rebuilds the target the way the witness describes it: pick source rows and
+// columns by the line maps, relabel digits, then optionally transpose.
+function applyWitness(rows, { transpose, digitPairs, rowPairs, colPairs }) {
+  const digits = Array.from({ length: 10 }, (_, digit) => digit);
+  digitPairs.forEach(({ from, to }) => {
+    digits[from] = to;
+  });
+  const rowOrder = pairsToOrder(rowPairs);
+  const colOrder = pairsToOrder(colPairs);
+  const cells = rowOrder.flatMap((row) =>
+    colOrder.map((col) => digits[rows[row][col]])
+  );
+  return transpose ? transposeCells(cells) : cells;
+}
+
+describe("findIsomorphism", () => {
+  it("finds a witness for a relabelled, row-swapped, transposed copy", () => {
+    const source = toGrid(puzzle);
+    const relabelled = source.map((row) =>
+      row.map((value) => (value === 1 ? 2 : value === 2 ? 1 : value))
+    );
+    const swapped = [relabelled[1], relabelled[0], ...relabelled.slice(2)];
+    const target = transposeCells(swapped.flat());
+
+    const witness = findIsomorphism(source, toGrid(target.join("")));
+    expect(witness).not.toBeNull();
+    expect(applyWitness(source, witness)).toEqual(target);
+  });
+
+  it("returns null for boards with different clue counts", () => {
+    const source = toGrid(puzzle);
+    const target = toGrid(`0${puzzle.slice(1)}`);
+    expect(findIsomorphism(source, target)).toBeNull();
+  });
+});
@@ -0,0 +1,662 @@
+import {
+  ALL_CANDIDATES,
+  BIT_COUNT,
+  BOX_UNITS,
+  CELL_UNITS,
+  COL_UNITS,
+  PEERS,
+  ROW_UNITS,
+  UNITS,
+  boxOf,
+  cellName,
+  colOf,
+  digitFromBit,
+  digitsOf,
+  rowOf,
+  sees,
+  unitName,
+} from "./grid.js";
+import { solveSudoku, toRows, validateRows } from "./solver.js";
+
+const BOX_UNIT_OFFSET = 18;
+const MAX_CHAIN_NODES = 16;
+const HIDDEN_SINGLE_UNIT_ORDER = Array.from(
+  { length: 27 },
+  (_, index) => (index + BOX_UNIT_OFFSET) % 27
+);
+
+export const TECHNIQUES = [
+  { id: "hidden-single", name: "Hidden single", score: 1.5 },
+  { id: "naked-single", name: "Naked single", score: 2.3 },
+  { id: "pointing", name: "Locked candidates (pointing)", score: 2.6 },
+  { id: "claiming", name: "Locked candidates (claiming)", score: 2.8 },
+  { id: "naked-pair", name: "Naked pair", score: 3.0 },
+  { id: "hidden-pair", name: "Hidden pair", score: 3.4 },
+  { id: "naked-triple", name: "Naked triple", score: 3.6 },
+  { id: "hidden-triple", name: "Hidden triple", score: 4.0 },
+  { id: "x-wing", name: "X-Wing", score: 3.2 },
+  { id: "swordfish", name: "Swordfish", score: 3.8 },
+  { id: "xy-wing", name: "XY-Wing", score: 4.2 },
+  { id: "chain", name: "Chain", score: 6.5 },
+  { id: "backtracking", name: "Backtracking", score: 10 },
+];
+
+const bitOf = (digit) => 1 << (digit - 1);
+
+function formatDigits(mask) {
+  return `{${digitsOf(mask).join(",")}}`;
+}
+
+function formatCells(cells) {
+  return cells.map(cellName).join(", ");
+}
+
+function combinations(items, size, start = 0, prefix = [], result = []) {
+  if (prefix.length === size) {
+    result.push(prefix.slice());
+    return result;
+  }
+  for (let index = start; index < items.length; index += 1) {
+    prefix.push(items[index]);
+    combinations(items, size, index + 1, prefix, result);
+    prefix.pop();
+  }
+  return result;
+}
+
+function createState(values) {
+  const state = {
+    values: new Uint8Array(81),
+    candidates: new Uint16Array(81).fill(ALL_CANDIDATES),
+  };
+  for (let cell = 0; cell < 81; cell += 1) {
+    if (values[cell]) placeDigit(state, cell, values[cell]);
+  }
+  return state;
+}
+
+function placeDigit(state, cell, digit) {
+  const bit = bitOf(digit);
+  state.values[cell] = digit;
+  state.candidates[cell] = 0;
+  PEERS[cell].forEach((peer) => {
+    state.candidates[peer] &= ~bit;
+  });
+}
+
+function cellsWithDigit(state, unit, digit) {
+  const bit = bitOf(digit);
+  return unit.filter((cell) => state.candidates[cell] & bit);
+}
+
+function unitHasDigit(state, unit, digit) {
+  return unit.some((cell) => state.values[cell] === digit);
+}
+
+function hasContradiction(state) {
+  for (let cell = 0; cell < 81; cell += 1) {
+    if (!state.values[cell] && !state.candidates[cell]) return true;
+  }
+  return UNITS.some((unit) => {
+    let seen = 0;
+    unit.forEach((cell) => {
+      seen |= state.values[cell]
+        ? bitOf(state.values[cell])
+        : state.candidates[cell];
+    });
+    return seen !== ALL_CANDIDATES;
+  });
+}
+
+function eliminationsFrom(state, cells, mask, excluded = []) {
+  const eliminations = [];
+  cells.forEach((cell) => {
+    if (excluded.includes(cell)) return;
+    digitsOf(state.candidates[cell] & mask).forEach((digit) => {
+      eliminations.push({ cell, digit });
+    });
+  });
+  return eliminations;
+}
+
+function findHiddenSingle(state) {
+  for (const unitIndex of HIDDEN_SINGLE_UNIT_ORDER) {
+    const unit = UNITS[unitIndex];
+    for (let digit = 1; digit <= 9; digit += 1) {
+      if (unitHasDigit(state, unit, digit)) continue;
+      const cells = cellsWithDigit(state, unit, digit);
+      if (cells.length !== 1) continue;
+      return {
+        placements: [{ cell: cells[0], digit }],
+        eliminations: [],
+        cells,
+        units: [unitIndex],
+        description: `Hidden single ${digit} in ${unitName(unitIndex)}`,
+      };
+    }
+  }
+  return null;
+}
+
+function findNakedSingle(state) {
+  for (let cell = 0; cell < 81; cell += 1) {
+    const candidates = state.candidates[cell];
+    if (state.values[cell] || BIT_COUNT[candidates] !== 1) continue;
+    const digit = digitFromBit(candidates);
+    return {
+      placements: [{ cell, digit }],
+      eliminations: [],
+      cells: [cell],
+      units: [],
+      description: `Naked single ${digit} at ${cellName(cell)}`,
+    };
+  }
+  return null;
+}
+
+function findPointing(state) {
+  for (let box = 0; box < 9; box += 1) {
+    const boxUnit = BOX_UNITS[box];
+    for (let digit = 1; digit <= 9; digit += 1) {
+      const cells = cellsWithDigit(state, boxUnit, digit);
+      if (cells.length < 2) continue;
+
+      const lines = [
+        {
+          unitIndex: rowOf(cells[0]),
+          same: cells.every((cell) => rowOf(cell) === rowOf(cells[0])),
+        },
+        {
+          unitIndex: 9 + colOf(cells[0]),
+          same: cells.every((cell) => colOf(cell) === colOf(cells[0])),
+        },
+      ];
+      for (const line of lines) {
+        if (!line.same) continue;
+        const eliminations = eliminationsFrom(
+          state,
+          UNITS[line.unitIndex].filter((cell) => boxOf(cell) !== box),
+          bitOf(digit)
+        );
+        if (!eliminations.length) continue;
+        return {
+          placements: [],
+          eliminations,
+          cells,
+          units: [BOX_UNIT_OFFSET + box, line.unitIndex],
+          description: `Pointing ${digit} in box ${box + 1} clears ${unitName(line.unitIndex)}`,
+        };
+      }
+    }
+  }
+  return null;
+}
+
+function findClaiming(state) {
+  for (let unitIndex = 0; unitIndex < BOX_UNIT_OFFSET; unitIndex += 1) {
+    const unit = UNITS[unitIndex];
+    for (let digit = 1; digit <= 9; digit += 1) {
+      const cells = cellsWithDigit(state, unit, digit);
+      if (cells.length < 2) continue;
+      const box = boxOf(cells[0]);
+      if (!cells.every((cell) => boxOf(cell) === box)) continue;
+
+      const eliminations = eliminationsFrom(
+        state,
+        BOX_UNITS[box].filter((cell) => !unit.includes(cell)),
+        bitOf(digit)
+      );
+      if (!eliminations.length) continue;
+      return {
+        placements: [],
+        eliminations,
+        cells,
+        units: [unitIndex, BOX_UNIT_OFFSET + box],
+        description: `Claiming ${digit} in ${unitName(unitIndex)} clears box ${box + 1}`,
+      };
+    }
+  }
+  return null;
+}
+
+function findNakedSubset(state, size, label) {
+  for (let unitIndex = 0; unitIndex < 27; unitIndex += 1) {
+    const unit = UNITS[unitIndex];
+    const open = unit.filter((cell) => {
+      const count = BIT_COUNT[state.candidates[cell]];
+      return !state.values[cell] && count >= 2 && count <= size;
+    });
+    for (const cells of combinations(open, size)) {
+      const mask = cells.reduce(
+        (union, cell) => union | state.candidates[cell],
+        0
+      );
+      if (BIT_COUNT[mask] !== size) continue;
+      const eliminations = eliminationsFrom(state, unit, mask, cells);
+      if (!eliminations.length) continue;
+      return {
+        placements: [],
+        eliminations,
+        cells,
+        units: [unitIndex],
+        description: `${label} ${formatDigits(mask)} in ${unitName(unitIndex)} (${formatCells(cells)})`,
+      };
+    }
+  }
+  return null;
+}
+
+function findHiddenSubset(state, size, label) {
+  for (let unitIndex = 0; unitIndex < 27; unitIndex += 1) {
+    const unit = UNITS[unitIndex];
+    const digits = [];
+    for (let digit = 1; digit <= 9; digit += 1) {
+      if (unitHasDigit(state, unit, digit)) continue;
+      const count = cellsWithDigit(state, unit, digit).length;
+      if (count >= 2 && count <= size) digits.push(digit);
+    }
+
+    for (const subset of combinations(digits, size)) {
+      const mask = subset.reduce((union, digit) => union | bitOf(digit), 0);
+      const cells = unit.filter((cell) => state.candidates[cell] & mask);
+      if (cells.length !== size) continue;
+      const eliminations = eliminationsFrom(
+        state,
+        cells,
+        ALL_CANDIDATES & ~mask
+      );
+      if (!eliminations.length) continue;
+      return {
+        placements: [],
+        eliminations,
+        cells,
+        units: [unitIndex],
+        description: `${label} ${formatDigits(mask)} in ${unitName(unitIndex)} (${formatCells(cells)})`,
+      };
+    }
+  }
+  return null;
+}
+
+function findFish(state, size, label) {
+  const orientations = [
+    { bases: ROW_UNITS, baseOffset: 0, coverOffset: 9, lineOf: colOf },
+    { bases: COL_UNITS, baseOffset: 9, coverOffset: 0, lineOf: rowOf },
+  ];
+
+  for (let digit = 1; digit <= 9; digit += 1) {
+    const bit = bitOf(digit);
+    for (const { bases, baseOffset, coverOffset, lineOf } of orientations) {
+      const candidatesByBase = bases
+        .map((unit, index) => ({
+          index,
+          cells: cellsWithDigit(state, unit, digit),
+        }))
+        .filter(({ cells }) => cells.length >= 2 && cells.length <= size);
+
+      for (const baseSet of combinations(candidatesByBase, size)) {
+        const coverLines = new Set();
+        baseSet.forEach(({ cells }) =>
+          cells.forEach((cell) => coverLines.add(lineOf(cell)))
+        );
+        if (coverLines.size !== size) continue;
+
+        const baseIndexes = baseSet.map(({ index }) => index);
+        const coverUnits = Array.from(coverLines).map(
+          (line) => coverOffset + line
+        );
+        const eliminations = [];
+        coverUnits.forEach((unitIndex) => {
+          UNITS[unitIndex].forEach((cell) => {
+            const baseLine = baseOffset === 0 ? rowOf(cell) : colOf(cell);
+            if (baseIndexes.includes(baseLine)) return;
+            if (state.candidates[cell] & bit)
+              eliminations.push({ cell, digit });
+          });
+        });
+        if (!eliminations.length) continue;
+
+        const baseUnits = baseIndexes.map((index) => baseOffset + index);
+        return {
+          placements: [],
+          eliminations,
+          cells: baseSet.flatMap(({ cells }) => cells),
+          units: [...baseUnits, ...coverUnits],
+          description: `${label} on ${digit} in ${baseUnits.map(unitName).join(", ")}`,
+        };
+      }
+    }
+  }
+  return null;
+}
+
+function findXyWing(state) {
+  const bivalue = [];
+  for (let cell = 0; cell < 81; cell += 1) {
+    if (!state.values[cell] && BIT_COUNT[state.candidates[cell]] === 2) {
+      bivalue.push(cell);
+    }
+  }
+
+  for (const pivot of bivalue) {
+    const pivotMask = state.candidates[pivot];
+    const wings = bivalue.filter((cell) => {
+      if (!sees(pivot, cell)) return false;
+      const overlap = state.candidates[cell] & pivotMask;
+      return BIT_COUNT[overlap] === 1 && state.candidates[cell] !== pivotMask;
+    });
+
+    for (const [first, second] of combinations(wings, 2)) {
+      const firstMask = state.candidates[first];
+      const secondMask = state.candidates[second];
+      const zMask = firstMask & secondMask & ~pivotMask;
+      if (BIT_COUNT[zMask] !== 1) continue;
+      if ((firstMask & pivotMask) === (secondMask & pivotMask)) continue;
+
+      const eliminations = [];
+      for (let cell = 0; cell < 81; cell += 1) {
+        if (cell === pivot || !(state.candidates[cell] & zMask)) continue;
+        if (sees(cell, first) && sees(cell, second)) {
+          eliminations.push({ cell, digit: digitFromBit(zMask) });
+        }
+      }
+      if (!eliminations.length) continue;
+
+      return {
+        placements: [],
+        eliminations,
+        cells: [pivot, first, second],
+        units: [],
+        description: `XY-Wing pivot ${cellName(pivot)} ${formatDigits(pivotMask)} with ${cellName(first)} and ${cellName(second)} removes ${digitFromBit(zMask)}`,
+      };
+    }
+  }
+  return null;
+}
+
+function nodeCell(node) {
+  return Math.floor(node / 9);
+}
+
+function nodeDigit(node) {
+  return (node % 9) + 1;
+}
+
+function buildLinks(state) {
+  const strong = Array.from({ length: 729 }, () => []);
+  const weak = Array.from({ length: 729 }, () => []);
+
+  for (let cell = 0; cell < 81; cell += 1) {
+    if (state.values[cell]) continue;
+    const digits = digitsOf(state.candidates[cell]);
+    digits.forEach((digit) => {
+      const node = cell * 9 + digit - 1;
+      digits.forEach((other) => {
+        if (other !== digit) weak[node].push(cell * 9 + other - 1);
+      });
+      if (digits.length === 2) {
+        strong[node].push(
+          cell * 9 + digits.find((other) => other !== digit) - 1
+        );
+      }
+      PEERS[cell].forEach((peer) => {
+        if (state.candidates[peer] & bitOf(digit))
+          weak[node].push(peer * 9 + digit - 1);
+      });
+      CELL_UNITS[cell].forEach((unitIndex) => {
+        const cells = cellsWithDigit(state, UNITS[unitIndex], digit);
+        if (cells.length !== 2) return;
+        const partner = cells[0] === cell ? cells[1] : cells[0];
+        const partnerNode = partner * 9 + digit - 1;
+        if (!strong[node].includes(partnerNode)) strong[node].push(partnerNode);
+      });
+    });
+  }
+
+  return { strong, weak };
+}
+
+function describeChain(chain) {
+  const sameDigit = chain.every(
+    (node) => nodeDigit(node) === nodeDigit(chain[0])
+  );
+  let cellLinksOnly = true;
+  for (let index = 0; index + 1 < chain.length; index += 2) {
+    if (nodeCell(chain[index]) !== nodeCell(chain[index + 1]))
+      cellLinksOnly = false;
+  }
+  const kind = sameDigit ? "X-Chain" : cellLinksOnly ? "XY-Chain" : "AIC";
+  const text = chain
+    .map((node, index) => {
+      const label = `${cellName(nodeCell(node))}(${nodeDigit(node)})`;
+      if (index === 0) return label;
+      return `${index % 2 === 1 ? " = " : " - "}${label}`;
+    })
+    .join("");
+  return { kind, text };
+}
+
+function findChain(state) {
+  const { strong, weak } = buildLinks(state);
+  let best = null;
+
+  for (let start = 0; start < 729; start += 1) {
+    if (!strong[start].length) continue;
+
+    const parent = new Map([[start * 2, -1]]);
+    let frontier = [start * 2];
+    let found = null;
+
+    while (frontier.length && !found) {
+      const next = [];
+      for (const key of frontier) {
+        const node = key >> 1;
+        const isTrue = key & 1;
+        const depth = countDepth(parent, key);
+        if (depth >= MAX_CHAIN_NODES) continue;
+
+        for (const neighbour of isTrue ? weak[node] : strong[node]) {
+          const neighbourKey = neighbour * 2 + (isTrue ? 0 : 1);
+          if (parent.has(neighbourKey)) continue;
+          parent.set(neighbourKey, key);
+          if (isTrue) {
+            next.push(neighbourKey);
+            continue;
+          }
+
+          const chain = readChain(parent, neighbourKey);
+          if (neighbour === start) {
+            found = {
+              chain,
+              placements: [{ cell: nodeCell(start), digit: nodeDigit(start) }],
+              eliminations: [],
+            };
+            break;
+          }
+
+          const eliminations = weak[start]
+            .filter(
+              (candidate) =>
+                candidate !== neighbour && weak[neighbour].includes(candidate)
+            )
+            .map((candidate) => ({
+              cell: nodeCell(candidate),
+              digit: nodeDigit(candidate),
+            }));
+          if (eliminations.length) {
+            found = { chain, placements: [], eliminations };
+            break;
+          }
+          next.push(neighbourKey);
+        }
+        if (found) break;
+      }
+      frontier = next;
+    }
+
+    if (found && (!best || found.chain.length < best.chain.length)) {
+      best = found;
+      if (best.chain.length <= 4) break;
+    }
+  }
+
+  if (!best) return null;
+
+  const { kind, text } = describeChain(best.chain);
+  const cells = Array.from(new Set(best.chain.map(nodeCell)));
+  const removed = best.placements.length
+    ? `places ${best.placements[0].digit} at ${cellName(best.placements[0].cell)}`
+    : `removes ${best.eliminations.map(({ cell, digit }) => `${digit} from ${cellName(cell)}`).join(", ")}`;
+  return {
+    placements: best.placements,
+    eliminations: best.eliminations,
+    cells,
+    units: [],
+    chain: best.chain.map((node) => ({
+      cell: nodeCell(node),
+      digit: nodeDigit(node),
+    })),
+    score: Math.min(7.5, 6.5 + Math.max(0, best.chain.length - 4) / 10),
+    description: `${kind} ${text} ${removed}`,
+  };
+}
+
+function countDepth(parent, key) {
+  let depth = 0;
+  let current = key;
+  while (current !== -1) {
+    depth += 1;
+    current = parent.get(current);
+  }
+  return depth;
+}
+
+function readChain(parent, key) {
+  const chain = [];
+  let current = key;
+  while (current !== -1) {
+    chain.unshift(current >> 1);
+    current = parent.get(current);
+  }
+  return chain;
+}
+
+const FINDERS = {
+  "hidden-single": findHiddenSingle,
+  "naked-single": findNakedSingle,
+  pointing: findPointing,
+  claiming: findClaiming,
+  "naked-pair": (state) => findNakedSubset(state, 2, "Naked pair"),
+  "hidden-pair": (state) => findHiddenSubset(state, 2, "Hidden pair"),
+  "naked-triple": (state) => findNakedSubset(state, 3, "Naked triple"),
+  "hidden-triple": (state) => findHiddenSubset(state, 3, "Hidden triple"),
+  "x-wing": (state) => findFish(state, 2, "X-Wing"),
+  swordfish: (state) => findFish(state, 3, "Swordfish"),
+  "xy-wing": findXyWing,
+  chain: findChain,
+};
+
+function applyStep(state, step) {
+  step.eliminations.forEach(({ cell, digit }) => {
+    state.candidates[cell] &= ~bitOf(digit);
+  });
+  step.placements.forEach(({ cell, digit }) => placeDigit(state, cell, digit));
+}
+
+export function solveLogically(rows, { recordSteps = false } = {}) {
+  const { values, error } = validateRows(rows);
+  const result = {
+    solution: null,
+    error,
+    score: 0,
+    hardest: null,
+    usedBacktracking: false,
+    steps: [],
+  };
+  if (error) return result;
+
+  const state = createState(values);
+  const hardest = { technique: null, score: 0 };
+  const recordHardest = (technique, score) => {
+    if (score > hardest.score) {
+      hardest.technique = technique;
+      hardest.score = score;
+    }
+  };
+
+  while (state.values.includes(0)) {
+    if (hasContradiction(state)) {
+      return { ...result, error: "No solution found." };
+    }
+
+    let step = null;
+    for (const technique of TECHNIQUES) {
+      const find = FINDERS[technique.id];
+      step = find ? find(state) : null;
+      if (step) {
+        step.technique = technique.name;
+        step.score = step.score ?? technique.score;
+        break;
+      }
+    }
+    if (!step) break;
+
+    if (recordSteps) {
+      step.values = Array.from(state.values);
+      step.candidates = Array.from(state.candidates);
+    }
+    applyStep(state, step);
+    recordHardest(step.technique, step.score);
+    result.steps.push(step);
+  }
+
+  if (state.values.includes(0)) {
+    const fallback = solveSudoku(toRows(state.values));
+    if (fallback.error) {
+      return { ...result, error: fallback.error };
+    }
+
+    const backtracking = TECHNIQUES[TECHNIQUES.length - 1];
+    const flat = fallback.solution.flat();
+    const placements = [];
+    flat.forEach((digit, cell) => {
+      if (!state.values[cell]) placements.push({ cell, digit });
+    });
+    const step = {
+      technique: backtracking.name,
+      score: backtracking.score,
+      placements,
+      eliminations: [],
+      cells: placements.map(({ cell }) => cell),
+      units: [],
+      description: `Logic stalled; ${placements.length} cells filled by backtracking`,
+    };
+    if (recordSteps) {
+      step.values = Array.from(state.values);
+      step.candidates = Array.from(state.candidates);
+    }
+    applyStep(state, step);
+    recordHardest(step.technique, step.score);
+    result.steps.push(step);
+    result.usedBacktracking = true;
+  }
+
+  return {
+    ...result,
+    solution: toRows(state.values),
+    score: hardest.score,
+    hardest: hardest.technique,
+  };
+}
+
+export function ratePuzzle(rows) {
+  const { error, score, hardest, usedBacktracking, steps } =
+    solveLogically(rows);
+  return {
+    error,
+    score,
+    hardest,
+    usedBacktracking,
+    steps: steps.length,
+  };
+}
@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { ratePuzzle, solveLogically } from "./logicSolver.js";
+
+const easy =
+  "530070000600195000098000060800060003400803001700020006060000280000419005000080079";
+const easySolution =
+  "534678912672195348198342567859761423426853791713924856961537284287419635345286179";
+const hard =
+  "800000000003600000070090200050007000000045700000100030001000068008500010090000400";
+
+function toGrid(text) {
+  return Array.from({ length: 9 }, (_, row) =>
+    Array.from(text.slice(row * 9, row * 9 + 9), Number)
+  );
+}
+
+describe("ratePuzzle", () => {
+  it("rates a singles-only puzzle by its hardest technique", () => {
+    expect(ratePuzzle(toGrid(easy))).toEqual({
+      error: null,
+      score: 1.5,
+      hardest: "Hidden single",
+      usedBacktracking: false,
+      steps: 51,
+    });
+  });
+
+  it("falls back to backtracking when logic stalls", () => {
+    expect(ratePuzzle(toGrid(hard))).toMatchObject({
+      error: null,
+      hardest: "Backtracking",
+      usedBacktracking: true,
+    });
+  });
+});
+
+describe("solveLogically", () => {
+  it("reaches the same solution as the backtracker", () => {
+    const { solution } = solveLogically(toGrid(easy));
+    expect(solution.flat().join("")).toBe(easySolution);
+  });
+});
@@ -2,6 +2,9 @@ import React from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App.jsx";
 import "./index.css";
+import { registerServiceWorker } from "./offlineCache.js";
+
+registerServiceWorker();
 
 const root = createRoot(document.getElementById("root"));
 root.render(
@@ -9,4 +12,3 @@ root.render(
     <App />
   </React.StrictMode>
 );
-
@@ -0,0 +1,88 @@
+export const DATA_CACHE = "sudoku-data";
+const storageKey = "sudoku-offline-copy";
+let registration = Promise.resolve(null);
+
+export function manifestSignature(entries) {
+  let hash = 0x811c9dc5;
+  entries.forEach((entry) => {
+    const text = `${entry.name}:${entry.canonical ?? entry.file}:${
+      entry.solutionHash ?? ""
+    }:${entry.cluePattern ?? ""}\n`;
+    for (let index = 0; index < text.length; index += 1) {
+      hash ^= text.charCodeAt(index);
+      hash = Math.imul(hash, 0x01000193);
+    }
+  });
+  return `${entries.length}-${(hash >>> 0).toString(16).padStart(8, "0")}`;
+}
+
+export function collectionFiles(entries) {
+  return [
+    "index.json",
+    ...new Set(entries.map((entry) => entry.pack ?? entry.file)),
+  ];
+}
+
+export function readOfflineCopy() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(storageKey));
+    return saved?.signature ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+function saveOfflineCopy(copy) {
+  try {
+    window.localStorage.setItem(storageKey, JSON.stringify(copy));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function offlineCopyStatus(copy, entries) {
+  if (!copy) return "missing";
+  if (!entries.length) return "unknown";
+  return copy.signature === manifestSignature(entries) ? "current" : "stale";
+}
+
+export async function downloadCollection(entries, baseUrl, onProgress) {
+  if (!("caches" in window)) {
+    throw new Error("This browser cannot store the collection offline.");
+  }
+  const cache = await window.caches.open(DATA_CACHE);
+  const files = collectionFiles(entries);
+  for (let index = 0; index < files.length; index += 1) {
+    const url = new URL(files[index], baseUrl);
+    const response = await fetch(url, { cache: "reload" });
+    if (!response.ok) {
+      throw new Error(
+        `Could not download ${files[index]} (${response.status}).`
+      );
+    }
+    await cache.put(url, response);
+    onProgress(index + 1, files.length);
+  }
+
+  const copy = {
+    signature: manifestSignature(entries),
+    count: entries.length,
+    savedAt: new Date().toISOString(),
+  };
+  saveOfflineCopy(copy);
+  return copy;
+}
+
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !import.meta.env.PROD) return;
+  registration = new Promise((resolve) =>
+    window.addEventListener("load", resolve, { once: true })
+  ).then(() =>
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+  );
+}
+
+export function serviceWorkerRegistration() {
+  return registration;
+}
@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+import { manifestSignature, offlineCopyStatus } from "./offlineCache.js";
+
+const entry = {
+  name: "100344",
+  file: "100344.txt",
+  canonical: "000000000001002034",
+  cluePattern: "000000000001001011",
+  solutionHash: "4f3e1f65d833",
+};
+
+describe("manifestSignature", () => {
+  it("changes when a puzzle is edited without changing its canonical form", () => {
+    const edited = { ...entry, solutionHash: "9a1c0b2e7f44" };
+    expect(manifestSignature([edited])).not.toBe(manifestSignature([entry]));
+  });
+
+  it("reports a saved copy as stale once the manifest changes", () => {
+    const copy = { signature: manifestSignature([entry]) };
+    expect(offlineCopyStatus(copy, [entry])).toBe("current");
+    expect(
+      offlineCopyStatus(copy, [{ ...entry, cluePattern: "000000000001001101" }])
+    ).toBe("stale");
+  });
+});
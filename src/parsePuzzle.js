@@ -0,0 +1,66 @@
+export function parsePuzzle(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0 && !line.startsWith("#"));
+
+  const rows = [];
+  const errors = [];
+
+  lines.forEach((line, index) => {
+    const digitChars = line.match(/\d/g) || [];
+    const groupedMatches = line.match(/\d+/g) || [];
+    const groupedNumbers = groupedMatches.map((value) =>
+      Number.parseInt(value, 10)
+    );
+    const numbers =
+      digitChars.length > 0 && digitChars.length <= 9
+        ? [
+            ...digitChars.map((value) => Number.parseInt(value, 10)),
+            ...Array.from({ length: 9 - digitChars.length }, () => 0),
+          ]
+        : groupedNumbers;
+
+    if (numbers.length === 0) {
+      return;
+    }
+
+    if (numbers.length !== 9) {
+      errors.push(`Row ${index + 1} has ${numbers.length} values, expected 9.`);
+    }
+
+    rows.push(numbers);
+  });
+
+  if (rows.length !== 9) {
+    errors.push(`Puzzle has ${rows.length} rows, expected 9.`);
+  }
+
+  return {
+    rows,
+    errors,
+  };
+}
+
+export function puzzleToString(rows) {
+  return rows.map((row) => row.join("")).join("");
+}
+
+// FNV-1a over the 81-char string: stable across reloads, so it can key
+// per-puzzle state for boards that have no catalogue name.
+export function puzzleHash(rows) {
+  let hash = 0x811c9dc5;
+  for (const char of puzzleToString(rows)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+export function rowsFromPuzzleString(text) {
+  return Array.from({ length: 9 }, (_, row) =>
+    Array.from(text.slice(row * 9, row * 9 + 9), (char) =>
+      Number.parseInt(char, 10)
+    )
+  );
+}
@@ -0,0 +1,105 @@
+import { PEERS } from "./grid.js";
+
+const storagePrefix = "sudoku-play:";
+
+export function createBoard(givens) {
+  return {
+    values: givens.slice(),
+    corner: Array(81).fill(0),
+    centre: Array(81).fill(0),
+  };
+}
+
+export function placeValue(board, givens, cell, digit) {
+  if (givens[cell]) return board;
+
+  const values = board.values.slice();
+  const clearing = values[cell] === digit;
+  values[cell] = clearing ? 0 : digit;
+  if (clearing) return { ...board, values };
+
+  const bit = 1 << (digit - 1);
+  const corner = board.corner.slice();
+  const centre = board.centre.slice();
+  PEERS[cell].forEach((peer) => {
+    corner[peer] &= ~bit;
+    centre[peer] &= ~bit;
+  });
+  return { values, corner, centre };
+}
+
+export function toggleMark(board, givens, cell, digit, kind) {
+  if (givens[cell] || board.values[cell]) return board;
+
+  const marks = board[kind].slice();
+  marks[cell] ^= 1 << (digit - 1);
+  return { ...board, [kind]: marks };
+}
+
+export function eraseCell(board, givens, cell) {
+  if (givens[cell]) return board;
+
+  if (board.values[cell]) {
+    const values = board.values.slice();
+    values[cell] = 0;
+    return { ...board, values };
+  }
+
+  const corner = board.corner.slice();
+  const centre = board.centre.slice();
+  corner[cell] = 0;
+  centre[cell] = 0;
+  return { ...board, corner, centre };
+}
+
+export function findConflicts(values) {
+  return values.map(
+    (value, cell) =>
+      value > 0 && PEERS[cell].some((peer) => values[peer] === value)
+  );
+}
+
+function isValidBoard(board, givens) {
+  return (
+    ["values", "corner", "centre"].every(
+      (key) => Array.isArray(board?.[key]) && board[key].length === 81
+    ) && givens.every((value, cell) => !value || board.values[cell] === value)
+  );
+}
+
+export function loadProgress(name, givens) {
+  try {
+    const saved = JSON.parse(
+      window.localStorage.getItem(`${storagePrefix}${name}`)
+    );
+    if (!saved || !isValidBoard(saved.board, givens)) return null;
+    return {
+      board: saved.board,
+      elapsedMs: Number(saved.elapsedMs) || 0,
+      completed: Boolean(saved.completed),
+    };
+  } catch {
+    return null;
+  }
+}
+
+export function saveProgress(name, progress) {
+  try {
+    window.localStorage.setItem(
+      `${storagePrefix}${name}`,
+      JSON.stringify(progress)
+    );
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function clearProgress(name) {
+  try {
+    window.localStorage.removeItem(`${storagePrefix}${name}`);
+    return true;
+  } catch {
+    return false;
+  }
+}
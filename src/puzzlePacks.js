@@ -0,0 +1,47 @@
+export const PACK_SPAN = 10000;
+export const PACK_DIR = "packs";
+
+export function packFileFor(name) {
+  const id = Number(name);
+  if (!Number.isInteger(id) || id < 0) return `${PACK_DIR}/other.txt`;
+  const from = Math.floor(id / PACK_SPAN) * PACK_SPAN;
+  return `${PACK_DIR}/${from}-${from + PACK_SPAN - 1}.txt`;
+}
+
+export function formatPack(entries) {
+  return `${entries.map(({ name, puzzle }) => `${name} ${puzzle}`).join("\n")}\n`;
+}
+
+export function parsePack(text) {
+  const puzzles = new Map();
+  text.split(/\r?\n/).forEach((line) => {
+    const match = line.trim().match(/^(\S+)\s+([0-9]{81})$/);
+    if (match) puzzles.set(match[1], match[2]);
+  });
+  return puzzles;
+}
+
+export function createPackLoader(baseUrl) {
+  const packs = new Map();
+
+  function load(file) {
+    if (!packs.has(file)) {
+      const request = fetch(new URL(file, baseUrl))
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`Could not load ${file} (${response.status}).`);
+          }
+          return response.text();
+        })
+        .then(parsePack)
+        .catch((error) => {
+          packs.delete(file);
+          throw error;
+        });
+      packs.set(file, request);
+    }
+    return packs.get(file);
+  }
+
+  return { load };
+}
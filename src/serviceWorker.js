@@ -0,0 +1,83 @@
+const SHELL_CACHE = `sudoku-shell-${CACHE_VERSION}`;
+const DATA_CACHE = "sudoku-data";
+
+function scopeUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS.map(scopeUrl)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) => key.startsWith("sudoku-shell-") && key !== SHELL_CACHE
+            )
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(event.request);
+  const network = fetch(event.request).then((response) => {
+    if (response.ok) cache.put(event.request, response.clone());
+    return response;
+  });
+  if (!cached) return network;
+  event.waitUntil(network.catch(() => undefined));
+  return cached;
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  return cached ?? fetch(request);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  if (!request.url.startsWith(self.registration.scope)) return;
+
+  const path = new URL(request.url).pathname.slice(
+    new URL(self.registration.scope).pathname.length
+  );
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request).catch(() => caches.match(scopeUrl("index.html")))
+    );
+  } else if (path === "sudokus/index.json" || request.cache === "reload") {
+    event.respondWith(networkFirst(request));
+  } else if (path.startsWith("sudokus/")) {
+    event.respondWith(staleWhileRevalidate(event));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
@@ -0,0 +1,64 @@
+import { canonicalForm } from "./canonical.js";
+import { puzzleToString, rowsFromPuzzleString } from "./parsePuzzle.js";
+import { solveSudoku } from "./solver.js";
+
+export const SIMILARITY_METRICS = [
+  { id: "givens", label: "Shared givens" },
+  { id: "solution", label: "Solution grid" },
+  // Canonical forms only line up cell for cell when the puzzles are
+  // isomorphic; any other distance is a loose tiebreak, not a similarity.
+  { id: "canonical", label: "Isomorphic (canonical form)" },
+];
+
+const solutionCache = new Map();
+
+function solutionString(puzzle) {
+  if (!solutionCache.has(puzzle)) {
+    const { solution } = solveSudoku(rowsFromPuzzleString(puzzle));
+    solutionCache.set(puzzle, solution ? puzzleToString(solution) : null);
+  }
+  return solutionCache.get(puzzle);
+}
+
+function compareStrings(first, second) {
+  let distance = 0;
+  let shared = 0;
+  for (let cell = 0; cell < 81; cell += 1) {
+    if (first[cell] !== second[cell]) distance += 1;
+    else if (first[cell] !== "0") shared += 1;
+  }
+  return { distance, shared };
+}
+
+function sourceString(rows, metric) {
+  if (metric === "canonical") return canonicalForm(rows);
+  const puzzle = puzzleToString(rows);
+  return metric === "solution" ? solutionString(puzzle) : puzzle;
+}
+
+function targetString(entry, metric) {
+  if (metric === "canonical") return entry.canonical;
+  return metric === "solution" ? solutionString(entry.puzzle) : entry.puzzle;
+}
+
+export function findSimilar(rows, entries, { metric = "givens", limit = 10 }) {
+  const source = sourceString(rows, metric);
+  if (!source) {
+    return { metric, matches: [], error: "The active puzzle has no solution." };
+  }
+
+  const matches = [];
+  entries.forEach((entry) => {
+    if (!entry.puzzle) return;
+    const target = targetString(entry, metric);
+    if (!target) return;
+    matches.push({ name: entry.name, ...compareStrings(source, target) });
+  });
+
+  matches.sort((first, second) =>
+    metric === "givens"
+      ? second.shared - first.shared || first.distance - second.distance
+      : first.distance - second.distance
+  );
+  return { metric, matches: matches.slice(0, limit), error: null };
+}
@@ -0,0 +1,240 @@
+import {
+  ALL_CANDIDATES,
+  BIT_COUNT,
+  PEERS,
+  UNITS,
+  digitFromBit,
+} from "./grid.js";
+
+function cloneState(state) {
+  return {
+    values: state.values.slice(),
+    candidates: state.candidates.slice(),
+  };
+}
+
+function assign(state, cell, digit, queue) {
+  const bit = 1 << (digit - 1);
+  if (!(state.candidates[cell] & bit)) return false;
+
+  state.values[cell] = digit;
+  state.candidates[cell] = bit;
+
+  for (const peer of PEERS[cell]) {
+    const candidates = state.candidates[peer];
+    if (!(candidates & bit)) continue;
+    if (state.values[peer]) return false;
+
+    const remaining = candidates & ~bit;
+    if (!remaining) return false;
+    state.candidates[peer] = remaining;
+    if (BIT_COUNT[remaining] === 1) {
+      queue.push(peer);
+    }
+  }
+
+  return true;
+}
+
+function propagate(state, queue) {
+  for (;;) {
+    while (queue.length) {
+      const cell = queue.pop();
+      if (state.values[cell]) continue;
+      const candidates = state.candidates[cell];
+      if (!candidates) return false;
+      if (BIT_COUNT[candidates] !== 1) continue;
+      if (!assign(state, cell, digitFromBit(candidates), queue)) return false;
+    }
+
+    let placedHiddenSingle = false;
+    for (const unit of UNITS) {
+      let once = 0;
+      let twice = 0;
+      let placed = 0;
+      for (const cell of unit) {
+        const candidates = state.candidates[cell];
+        if (state.values[cell]) {
+          placed |= candidates;
+        } else {
+          twice |= once & candidates;
+          once |= candidates;
+        }
+      }
+
+      if ((once | placed) !== ALL_CANDIDATES) return false;
+
+      let hidden = once & ~twice & ~placed;
+      while (hidden) {
+        const bit = hidden & -hidden;
+        hidden ^= bit;
+        const cell = unit.find(
+          (candidate) =>
+            !state.values[candidate] && state.candidates[candidate] & bit
+        );
+        if (cell === undefined) continue;
+        if (!assign(state, cell, digitFromBit(bit), queue)) return false;
+        placedHiddenSingle = true;
+      }
+    }
+
+    if (!placedHiddenSingle && !queue.length) return true;
+  }
+}
+
+function pickCell(state) {
+  let bestCell = -1;
+  let bestCount = 10;
+  for (let cell = 0; cell < 81; cell += 1) {
+    if (state.values[cell]) continue;
+    const count = BIT_COUNT[state.candidates[cell]];
+    if (count < bestCount) {
+      bestCell = cell;
+      bestCount = count;
+      if (count <= 2) break;
+    }
+  }
+  return bestCell;
+}
+
+function search(state, context) {
+  context.nodes += 1;
+  if (context.onProgress && context.nodes % context.progressInterval === 0) {
+    context.onProgress(readStats(context));
+  }
+
+  const cell = pickCell(state);
+  if (cell === -1) {
+    context.solutions.push(Array.from(state.values));
+    return context.solutions.length >= context.limit;
+  }
+
+  let candidates = state.candidates[cell];
+  while (candidates) {
+    const bit = candidates & -candidates;
+    candidates ^= bit;
+    context.guesses += 1;
+
+    const next = cloneState(state);
+    const queue = [];
+    if (
+      assign(next, cell, digitFromBit(bit), queue) &&
+      propagate(next, queue) &&
+      search(next, context)
+    ) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function now() {
+  return globalThis.performance ? globalThis.performance.now() : Date.now();
+}
+
+function readStats(context) {
+  return {
+    nodes: context.nodes,
+    guesses: context.guesses,
+    elapsedMs: now() - context.startedAt,
+  };
+}
+
+export function toRows(values) {
+  return Array.from({ length: 9 }, (_, row) =>
+    Array.from(values.slice(row * 9, row * 9 + 9))
+  );
+}
+
+export function validateRows(rows) {
+  if (!Array.isArray(rows) || rows.length !== 9) {
+    return { values: null, error: "Puzzle must have 9 rows." };
+  }
+
+  const values = new Uint8Array(81);
+  for (let row = 0; row < 9; row += 1) {
+    if (!Array.isArray(rows[row]) || rows[row].length !== 9) {
+      return { values: null, error: `Row ${row + 1} must have 9 values.` };
+    }
+
+    for (let col = 0; col < 9; col += 1) {
+      const value = rows[row][col];
+      if (!Number.isInteger(value) || value < 0 || value > 9) {
+        return { values: null, error: "Values must be numbers 0-9." };
+      }
+      values[row * 9 + col] = value;
+    }
+  }
+
+  for (let cell = 0; cell < 81; cell += 1) {
+    const value = values[cell];
+    if (value && PEERS[cell].some((peer) => values[peer] === value)) {
+      return { values: null, error: "Puzzle has conflicting values." };
+    }
+  }
+
+  return { values, error: null };
+}
+
+function runSearch(rows, { limit, onProgress, progressInterval = 1000 }) {
+  const context = {
+    limit,
+    onProgress,
+    progressInterval,
+    nodes: 0,
+    guesses: 0,
+    solutions: [],
+    startedAt: now(),
+  };
+
+  const { values, error } = validateRows(rows);
+  if (error) {
+    return { solutions: [], error, stats: readStats(context) };
+  }
+
+  const state = {
+    values: new Uint8Array(81),
+    candidates: new Uint16Array(81).fill(ALL_CANDIDATES),
+  };
+  const queue = [];
+  let consistent = true;
+  for (let cell = 0; cell < 81 && consistent; cell += 1) {
+    if (values[cell]) {
+      consistent = assign(state, cell, values[cell], queue);
+    }
+  }
+
+  if (consistent && propagate(state, queue)) {
+    search(state, context);
+  }
+
+  return {
+    solutions: context.solutions.map(toRows),
+    error: null,
+    stats: readStats(context),
+  };
+}
+
+export function solveSudoku(rows, options = {}) {
+  const { solutions, error, stats } = runSearch(rows, { ...options, limit: 1 });
+  if (error) {
+    return { solution: null, error, stats };
+  }
+  if (!solutions.length) {
+    return { solution: null, error: "No solution found.", stats };
+  }
+  return { solution: solutions[0], error: null, stats };
+}
+
+export function countSolutions(rows, options = {}) {
+  const { limit = 2 } = options;
+  const { solutions, error, stats } = runSearch(rows, { ...options, limit });
+  return {
+    count: solutions.length,
+    limit,
+    solutions,
+    error,
+    stats,
+  };
+}
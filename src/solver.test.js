@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { solveSudoku } from "./solver.js";
+
+const puzzle =
+  "530070000600195000098000060800060003400803001700020006060000280000419005000080079";
+const solution =
+  "534678912672195348198342567859761423426853791713924856961537284287419635345286179";
+
+function toGrid(text) {
+  return Array.from({ length: 9 }, (_, row) =>
+    Array.from(text.slice(row * 9, row * 9 + 9), Number)
+  );
+}
+
+describe("solveSudoku", () => {
+  it("solves a known puzzle", () => {
+    const { solution: solved, error } = solveSudoku(toGrid(puzzle));
+    expect(error).toBeNull();
+    expect(solved.flat().join("")).toBe(solution);
+  });
+
+  it("leaves a solved grid unchanged", () => {
+    expect(solveSudoku(toGrid(solution)).solution).toEqual(toGrid(solution));
+  });
+
+  it("rejects conflicting givens", () => {
+    const conflicting = toGrid(puzzle);
+    conflicting[0][2] = 5;
+    expect(solveSudoku(conflicting)).toMatchObject({
+      solution: null,
+      error: "Puzzle has conflicting values.",
+    });
+  });
+
+  it("reports a puzzle with no solution", () => {
+    const stuck = toGrid(
+      `123456780${"0".repeat(18)}000000009${"0".repeat(45)}`
+    );
+    expect(solveSudoku(stuck)).toMatchObject({
+      solution: null,
+      error: "No solution found.",
+    });
+  });
+});
@@ -0,0 +1,27 @@
+import { findSamePattern } from "./cluePattern.js";
+import { findIsomorphism } from "./isomorphism.js";
+import { solveLogically } from "./logicSolver.js";
+import { findSimilar } from "./similarity.js";
+import { countSolutions, solveSudoku } from "./solver.js";
+
+self.onmessage = (event) => {
+  const { id, mode, rows, limit, target, entries, metric } = event.data;
+  const onProgress = (stats) =>
+    self.postMessage({ id, type: "progress", stats });
+
+  let result;
+  if (mode === "count") {
+    result = countSolutions(rows, { limit, onProgress });
+  } else if (mode === "isomorphism") {
+    result = { mapping: findIsomorphism(rows, target) };
+  } else if (mode === "pattern") {
+    result = findSamePattern(rows, entries, limit);
+  } else if (mode === "similar") {
+    result = findSimilar(rows, entries, { metric, limit });
+  } else if (mode === "steps") {
+    result = solveLogically(rows, { recordSteps: true });
+  } else {
+    result = solveSudoku(rows, { onProgress });
+  }
+  self.postMessage({ id, type: "result", result });
+};
@@ -0,0 +1,94 @@
+const cancelledResult = () => ({
+  solution: null,
+  error: "Solve cancelled.",
+  stats: null,
+  cancelled: true,
+});
+
+export function createSolverClient() {
+  let worker = null;
+  let nextId = 1;
+  let running = null;
+  const queue = [];
+
+  function ensureWorker() {
+    if (worker) return worker;
+    worker = new Worker(new URL("./solver.worker.js", import.meta.url), {
+      type: "module",
+    });
+    worker.onmessage = (event) => {
+      const { id, type, stats, result } = event.data;
+      if (!running || running.id !== id) return;
+
+      if (type === "progress") {
+        running.onProgress?.(stats);
+        return;
+      }
+
+      const job = running;
+      running = null;
+      job.resolve(result);
+      runNext();
+    };
+    worker.onerror = (event) => {
+      const job = running;
+      running = null;
+      worker.terminate();
+      worker = null;
+      job?.resolve({
+        solution: null,
+        error: event.message || "Solver crashed.",
+        stats: null,
+      });
+      runNext();
+    };
+    return worker;
+  }
+
+  function runNext() {
+    if (running || !queue.length) return;
+    running = queue.shift();
+    const { id, rows, params } = running;
+    ensureWorker().postMessage({ id, rows, ...params });
+  }
+
+  function cancel(id) {
+    const queuedIndex = queue.findIndex((job) => job.id === id);
+    let job = null;
+
+    if (queuedIndex !== -1) {
+      job = queue.splice(queuedIndex, 1)[0];
+    } else if (running?.id === id) {
+      job = running;
+      running = null;
+      worker.terminate();
+      worker = null;
+    }
+
+    if (!job) return;
+    job.resolve(cancelledResult());
+    runNext();
+  }
+
+  function solve(rows, { onProgress, ...params } = {}) {
+    const id = nextId;
+    nextId += 1;
+
+    const promise = new Promise((resolve) => {
+      queue.push({ id, rows, params, onProgress, resolve });
+    });
+    runNext();
+
+    return { id, promise, cancel: () => cancel(id) };
+  }
+
+  function dispose() {
+    const jobs = running ? [running, ...queue.splice(0)] : queue.splice(0);
+    running = null;
+    worker?.terminate();
+    worker = null;
+    jobs.forEach((job) => job.resolve(cancelledResult()));
+  }
+
+  return { solve, dispose };
+}
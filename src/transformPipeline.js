@@ -0,0 +1,555 @@
+import { UNITS } from "./grid.js";
+
+export const STEP_TYPES = [
+  { type: "shift", label: "Shift numbers", placeholder: "3" },
+  { type: "relabel", label: "Relabel", placeholder: "6 8,5-7" },
+  { type: "rows", label: "Row map", placeholder: "(1 2 3)(4 5)" },
+  { type: "cols", label: "Column map", placeholder: "(1 2 3)(4 5)" },
+  { type: "bands", label: "Swap bands", placeholder: "(1 2)" },
+  { type: "stacks", label: "Swap stacks", placeholder: "(1 3)" },
+  { type: "bandrows", label: "Rows within band", placeholder: "2 (1 3)" },
+  {
+    type: "stackcols",
+    label: "Columns within stack",
+    placeholder: "1 (2 3)",
+  },
+  { type: "rotate", label: "Rotate", placeholder: "90" },
+  { type: "transpose", label: "Transpose", placeholder: "" },
+  { type: "mirror", label: "Mirror", placeholder: "horizontal" },
+];
+
+const DEFAULT_ARGS = {
+  shift: "1",
+  relabel: "",
+  rows: "",
+  cols: "",
+  bands: "(1 2)",
+  stacks: "(1 2)",
+  bandrows: "1 (1 2)",
+  stackcols: "1 (1 2)",
+  rotate: "90",
+  transpose: "",
+  mirror: "horizontal",
+};
+
+const LINE_STEPS = {
+  rows: { axis: "rows", size: 9 },
+  cols: { axis: "cols", size: 9 },
+  bands: { axis: "rows", size: 3, group: true },
+  stacks: { axis: "cols", size: 3, group: true },
+  bandrows: { axis: "rows", size: 3, within: true },
+  stackcols: { axis: "cols", size: 3, within: true },
+};
+
+const SPATIAL_TYPES = [
+  ...Object.keys(LINE_STEPS),
+  "rotate",
+  "transpose",
+  "mirror",
+];
+
+let nextStepId = 1;
+
+export function createStep(type, arg = DEFAULT_ARGS[type] ?? "") {
+  const id = nextStepId;
+  nextStepId += 1;
+  return { id, type, arg };
+}
+
+export function cloneBoard(rows) {
+  return rows.map((row) => row.slice());
+}
+
+function applyShift(rows, shiftAmount) {
+  const normalizedShift = ((shiftAmount % 9) + 9) % 9;
+  if (!normalizedShift) return cloneBoard(rows);
+
+  return rows.map((row) =>
+    row.map((value) => {
+      if (!value) return 0;
+      return ((value - 1 + normalizedShift) % 9) + 1;
+    })
+  );
+}
+
+function applyManualMapping(rows, pairs) {
+  if (!pairs.length) return cloneBoard(rows);
+  const digitMap = new Map(pairs.map((pair) => [pair.from, pair.to]));
+  return rows.map((row) =>
+    row.map((value) => {
+      if (!value) return 0;
+      return digitMap.get(value) ?? value;
+    })
+  );
+}
+
+function applyRowMapping(rows, pairs) {
+  if (!pairs.length) return cloneBoard(rows);
+  const source = cloneBoard(rows);
+  const result = cloneBoard(rows);
+  pairs.forEach(({ from, to }) => {
+    result[to - 1] = source[from - 1].slice();
+  });
+  return result;
+}
+
+function applyColumnMapping(rows, pairs) {
+  if (!pairs.length) return cloneBoard(rows);
+  const source = cloneBoard(rows);
+  const result = cloneBoard(rows);
+  pairs.forEach(({ from, to }) => {
+    for (let row = 0; row < 9; row += 1) {
+      result[row][to - 1] = source[row][from - 1];
+    }
+  });
+  return result;
+}
+
+function rotateBoard(rows, degrees) {
+  const normalized = ((degrees % 360) + 360) % 360;
+  if (normalized === 0) return cloneBoard(rows);
+
+  const board = Array.from({ length: 9 }, () => Array(9).fill(0));
+
+  if (normalized === 90) {
+    for (let row = 0; row < 9; row += 1) {
+      for (let col = 0; col < 9; col += 1) {
+        board[row][col] = rows[8 - col][row];
+      }
+    }
+    return board;
+  }
+
+  if (normalized === 180) {
+    for (let row = 0; row < 9; row += 1) {
+      for (let col = 0; col < 9; col += 1) {
+        board[row][col] = rows[8 - row][8 - col];
+      }
+    }
+    return board;
+  }
+
+  for (let row = 0; row < 9; row += 1) {
+    for (let col = 0; col < 9; col += 1) {
+      board[row][col] = rows[col][8 - row];
+    }
+  }
+  return board;
+}
+
+function transposeBoard(rows) {
+  const board = Array.from({ length: 9 }, () => Array(9).fill(0));
+  for (let row = 0; row < 9; row += 1) {
+    for (let col = 0; col < 9; col += 1) {
+      board[row][col] = rows[col][row];
+    }
+  }
+  return board;
+}
+
+function flipBoard(rows, flipMode) {
+  if (flipMode === "none") return cloneBoard(rows);
+
+  if (flipMode === "horizontal") {
+    return rows.map((row) => row.slice().reverse());
+  }
+
+  return cloneBoard(rows).reverse();
+}
+
+export function parsePairs(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return { pairs: [], error: "" };
+
+  const chunks = trimmed
+    .split(",")
+    .map((chunk) => chunk.trim())
+    .filter(Boolean);
+
+  if (!chunks.length) {
+    return { pairs: [], error: "Use comma-separated pairs like 1 2,3-4." };
+  }
+
+  const pairs = [];
+  for (const chunk of chunks) {
+    const match = chunk.match(/^([1-9])(?:\s+|-)([1-9])$/);
+    if (!match) {
+      return {
+        pairs: [],
+        error: "Use comma-separated pairs like 1 2,3-4.",
+      };
+    }
+    pairs.push({
+      from: Number.parseInt(match[1], 10),
+      to: Number.parseInt(match[2], 10),
+    });
+  }
+
+  return { pairs, error: "" };
+}
+
+export function parseCycleNotation(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return { pairs: [], error: "" };
+
+  const cycles = [];
+  const cycleRegex = /\(([^)]+)\)/g;
+  let match = cycleRegex.exec(trimmed);
+
+  while (match) {
+    cycles.push(match[1]);
+    match = cycleRegex.exec(trimmed);
+  }
+
+  const errorMessage = "Use cycle notation like (1 2 3)(4 5).";
+  if (!cycles.length) {
+    return { pairs: [], error: errorMessage };
+  }
+
+  const leftover = trimmed.replace(cycleRegex, "").trim();
+  if (leftover.replace(/[,\s]/g, "") !== "") {
+    return { pairs: [], error: errorMessage };
+  }
+
+  const pairs = [];
+  for (const cycleText of cycles) {
+    const parts = cycleText
+      .trim()
+      .split(/[\s,]+/)
+      .filter(Boolean);
+    if (!parts.length) {
+      return { pairs: [], error: errorMessage };
+    }
+
+    const values = [];
+    for (const part of parts) {
+      if (!/^[1-9]$/.test(part)) {
+        return { pairs: [], error: errorMessage };
+      }
+      values.push(Number.parseInt(part, 10));
+    }
+
+    if (values.length < 2) {
+      continue;
+    }
+
+    for (let index = 0; index < values.length; index += 1) {
+      pairs.push({
+        from: values[index],
+        to: values[(index + 1) % values.length],
+      });
+    }
+  }
+
+  return { pairs, error: "" };
+}
+
+export function formatPairs(pairs) {
+  return pairs.map(({ from, to }) => `${from} ${to}`).join(",");
+}
+
+export function formatCycleNotation(pairs) {
+  const targets = new Map(pairs.map(({ from, to }) => [from, to]));
+  const visited = new Set();
+  const cycles = [];
+
+  pairs.forEach(({ from }) => {
+    if (visited.has(from)) return;
+    const cycle = [];
+    let current = from;
+    while (current !== undefined && !visited.has(current)) {
+      visited.add(current);
+      cycle.push(current);
+      current = targets.get(current);
+    }
+    if (cycle.length > 1) cycles.push(`(${cycle.join(" ")})`);
+  });
+
+  return cycles.join("");
+}
+
+function validatePermutationPairs(pairs) {
+  const fromSet = new Set();
+  const toSet = new Set();
+
+  for (const pair of pairs) {
+    if (fromSet.has(pair.from)) {
+      return "Each source index can only appear once.";
+    }
+    if (toSet.has(pair.to)) {
+      return "Each destination index can only appear once.";
+    }
+    fromSet.add(pair.from);
+    toSet.add(pair.to);
+  }
+
+  return "";
+}
+
+function isPermutation(pairs) {
+  const sources = new Set(pairs.map((pair) => pair.from));
+  return (
+    !validatePermutationPairs(pairs) &&
+    pairs.every((pair) => sources.has(pair.to))
+  );
+}
+
+export function parseStep({ type, arg }) {
+  const text = String(arg ?? "").trim();
+
+  if (type === "shift") {
+    if (!/^[+-]?\d+$/.test(text)) {
+      return { op: null, error: "Shift must be a whole number." };
+    }
+    return { op: { type, amount: Number.parseInt(text, 10) }, error: "" };
+  }
+
+  if (type === "relabel") {
+    const { pairs, error } = parsePairs(text);
+    return { op: error ? null : { type, pairs }, error };
+  }
+
+  const line = LINE_STEPS[type];
+  if (line) {
+    const within = line.within ? text.match(/^([1-3])\s*(.*)$/) : null;
+    if (line.within && !within) {
+      return {
+        op: null,
+        error: `Start with the ${line.axis === "rows" ? "band" : "stack"} number 1-3, e.g. 2 (1 3).`,
+      };
+    }
+    const parsed = parseCycleNotation(within ? within[2] : text);
+    const error =
+      parsed.error ||
+      (parsed.pairs.some((pair) => pair.from > line.size || pair.to > line.size)
+        ? `Use numbers 1-${line.size}.`
+        : validatePermutationPairs(parsed.pairs));
+    if (error) return { op: null, error };
+    const op = { type, pairs: parsed.pairs };
+    if (within) op.block = Number.parseInt(within[1], 10);
+    return { op, error: "" };
+  }
+
+  if (type === "rotate") {
+    const degrees = Number.parseInt(text, 10);
+    if (![0, 90, 180, 270].includes(degrees)) {
+      return { op: null, error: "Rotate by 0, 90, 180 or 270 degrees." };
+    }
+    return { op: { type, degrees }, error: "" };
+  }
+
+  if (type === "transpose") {
+    return text
+      ? { op: null, error: "Transpose takes no argument." }
+      : { op: { type }, error: "" };
+  }
+
+  if (type === "mirror") {
+    const axis = { h: "horizontal", v: "vertical" }[text] ?? text;
+    if (axis !== "horizontal" && axis !== "vertical") {
+      return { op: null, error: "Mirror horizontal or vertical." };
+    }
+    return { op: { type, axis }, error: "" };
+  }
+
+  return { op: null, error: `Unknown step "${type}".` };
+}
+
+function linePairs(op) {
+  const line = LINE_STEPS[op.type];
+  if (line.group) {
+    return op.pairs.flatMap(({ from, to }) =>
+      [1, 2, 3].map((offset) => ({
+        from: (from - 1) * 3 + offset,
+        to: (to - 1) * 3 + offset,
+      }))
+    );
+  }
+  if (line.within) {
+    const start = (op.block - 1) * 3;
+    return op.pairs.map(({ from, to }) => ({
+      from: start + from,
+      to: start + to,
+    }));
+  }
+  return op.pairs;
+}
+
+export function breaksBoxStructure(pairs) {
+  const targets = Array.from({ length: 9 }, (_, index) => index);
+  pairs.forEach(({ from, to }) => {
+    targets[from - 1] = to - 1;
+  });
+  return [0, 1, 2].some(
+    (block) =>
+      new Set(
+        [0, 1, 2].map((offset) => Math.floor(targets[block * 3 + offset] / 3))
+      ).size > 1
+  );
+}
+
+function stepWarning(op) {
+  if (!op || (op.type !== "rows" && op.type !== "cols")) return "";
+  if (!breaksBoxStructure(op.pairs)) return "";
+  return op.type === "rows"
+    ? "Moves rows between bands, which changes the boxes."
+    : "Moves columns between stacks, which changes the boxes.";
+}
+
+export function compilePipeline(steps) {
+  const parsed = steps.map(parseStep);
+  const errors = parsed.map((result) => result.error);
+  return {
+    ops: parsed.map((result) => result.op).filter(Boolean),
+    errors,
+    warnings: parsed.map((result) => stepWarning(result.op)),
+    error: errors.find(Boolean) ?? "",
+  };
+}
+
+export function findBrokenUnits(rows) {
+  const cells = rows.flat();
+  const conflicts = Array(81).fill(false);
+  const units = [];
+
+  UNITS.forEach((unit, unitIndex) => {
+    const seen = new Map();
+    let broken = false;
+    unit.forEach((cell) => {
+      const value = cells[cell];
+      if (!value) return;
+      if (seen.has(value)) {
+        conflicts[cell] = true;
+        conflicts[seen.get(value)] = true;
+        broken = true;
+      } else {
+        seen.set(value, cell);
+      }
+    });
+    if (broken) units.push(unitIndex);
+  });
+
+  return { units, conflicts };
+}
+
+function isNoop(op) {
+  if (op.type === "shift") return ((op.amount % 9) + 9) % 9 === 0;
+  if (op.type === "rotate") return op.degrees === 0;
+  if (op.pairs) return op.pairs.length === 0;
+  return false;
+}
+
+export function hasEffect(ops) {
+  return ops.some((op) => !isNoop(op));
+}
+
+function applyOp(rows, op) {
+  if (op.type === "shift") return applyShift(rows, op.amount);
+  if (op.type === "relabel") return applyManualMapping(rows, op.pairs);
+  if (LINE_STEPS[op.type]?.axis === "rows") {
+    return applyRowMapping(rows, linePairs(op));
+  }
+  if (LINE_STEPS[op.type]?.axis === "cols") {
+    return applyColumnMapping(rows, linePairs(op));
+  }
+  if (op.type === "rotate") return rotateBoard(rows, op.degrees);
+  if (op.type === "transpose") return transposeBoard(rows);
+  return flipBoard(rows, op.axis);
+}
+
+export function applyPipeline(rows, ops, { spatialOnly = false } = {}) {
+  return ops
+    .filter((op) => !spatialOnly || SPATIAL_TYPES.includes(op.type))
+    .reduce((board, op) => applyOp(board, op), cloneBoard(rows));
+}
+
+function swapPairs(pairs) {
+  return pairs.map(({ from, to }) => ({ from: to, to: from }));
+}
+
+function invertOp(op) {
+  if (op.type === "shift") {
+    return { op: { ...op, amount: -op.amount }, error: "" };
+  }
+  if (op.type === "relabel") {
+    if (!isPermutation(op.pairs)) {
+      return {
+        op: null,
+        error: `Relabel ${formatPairs(op.pairs)} merges digits, so it has no inverse.`,
+      };
+    }
+    return { op: { ...op, pairs: swapPairs(op.pairs) }, error: "" };
+  }
+  if (LINE_STEPS[op.type]) {
+    return { op: { ...op, pairs: swapPairs(op.pairs) }, error: "" };
+  }
+  if (op.type === "rotate") {
+    return { op: { ...op, degrees: (360 - op.degrees) % 360 }, error: "" };
+  }
+  return { op, error: "" };
+}
+
+export function formatOp(op) {
+  if (op.type === "shift") return { type: op.type, arg: String(op.amount) };
+  if (op.type === "relabel") {
+    return { type: op.type, arg: formatPairs(op.pairs) };
+  }
+  if (LINE_STEPS[op.type]) {
+    const cycles = formatCycleNotation(op.pairs);
+    return { type: op.type, arg: op.block ? `${op.block} ${cycles}` : cycles };
+  }
+  if (op.type === "rotate") return { type: op.type, arg: String(op.degrees) };
+  if (op.type === "mirror") return { type: op.type, arg: op.axis };
+  return { type: op.type, arg: "" };
+}
+
+export function invertSteps(steps) {
+  const { ops, error } = compilePipeline(steps);
+  if (error) return { steps: null, error };
+
+  const inverted = [];
+  for (const op of ops.slice().reverse()) {
+    const result = invertOp(op);
+    if (result.error) return { steps: null, error: result.error };
+    const { type, arg } = formatOp(result.op);
+    inverted.push(createStep(type, arg));
+  }
+  return { steps: inverted, error: "" };
+}
+
+export function formatPipeline(steps) {
+  return steps
+    .map(({ type, arg }) => (arg.trim() ? `${type} ${arg.trim()}` : type))
+    .join("; ");
+}
+
+export function parsePipeline(text) {
+  const chunks = text
+    .split(/[;\n]/)
+    .map((chunk) => chunk.trim())
+    .filter(Boolean);
+  const steps = [];
+
+  for (const [index, chunk] of chunks.entries()) {
+    const match = chunk.match(/^([a-z]+)\s*(.*)$/i);
+    const type = match?.[1].toLowerCase();
+    if (!STEP_TYPES.some((entry) => entry.type === type)) {
+      return {
+        steps: null,
+        error: `Step ${index + 1}: unknown step "${chunk}".`,
+      };
+    }
+    const step = createStep(type, match[2]);
+    const { error } = parseStep(step);
+    if (error) return { steps: null, error: `Step ${index + 1}: ${error}` };
+    steps.push(step);
+  }
+
+  return { steps, error: "" };
+}
+
+export function describeStep({ type, arg }) {
+  const label = STEP_TYPES.find((entry) => entry.type === type)?.label ?? type;
+  if (type === "rotate") return `${label}: ${arg}°`;
+  return arg ? `${label}: ${arg}` : label;
+}
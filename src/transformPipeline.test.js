@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { rowsFromPuzzleString } from "./parsePuzzle.js";
+import {
+  applyPipeline,
+  compilePipeline,
+  createStep,
+  formatPipeline,
+  invertSteps,
+  parsePipeline,
+} from "./transformPipeline.js";
+
+const rows = rowsFromPuzzleString(
+  "530070000600195000098000060800060003400803001700020006060000280000419005000080079"
+);
+
+function run(board, steps) {
+  const { ops, error } = compilePipeline(steps);
+  expect(error).toBe("");
+  return applyPipeline(board, ops);
+}
+
+describe("invertSteps", () => {
+  it("undoes every step of a mixed pipeline", () => {
+    const steps = [
+      createStep("shift", "3"),
+      createStep("relabel", "1 2,2 1"),
+      createStep("rows", "(1 2 3)(4 7)"),
+      createStep("cols", "(5 6)"),
+      createStep("rotate", "90"),
+      createStep("transpose"),
+      createStep("mirror", "vertical"),
+    ];
+    const transformed = run(rows, steps);
+    expect(transformed).not.toEqual(rows);
+
+    const { steps: inverse, error } = invertSteps(steps);
+    expect(error).toBe("");
+    expect(run(transformed, inverse)).toEqual(rows);
+  });
+
+  it("refuses to invert a relabel that merges digits", () => {
+    const { steps, error } = invertSteps([createStep("relabel", "1 2")]);
+    expect(steps).toBeNull();
+    expect(error).toMatch(/no inverse/);
+  });
+});
+
+describe("parsePipeline", () => {
+  it("round-trips through formatPipeline", () => {
+    const text = "rows (1 2)(4 5); rotate 90; transpose; mirror horizontal";
+    const { steps, error } = parsePipeline(text);
+    expect(error).toBe("");
+    expect(steps.map(({ type }) => type)).toEqual([
+      "rows",
+      "rotate",
+      "transpose",
+      "mirror",
+    ]);
+    expect(formatPipeline(steps)).toBe(text);
+  });
+
+  it("points at the step it cannot read", () => {
+    expect(parsePipeline("rotate 90; spin 3").error).toBe(
+      'Step 2: unknown step "spin 3".'
+    );
+  });
+});
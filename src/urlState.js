@@ -0,0 +1,76 @@
+export const BUILTIN_VIEWS = ["browse", "isomorphs", "analytics"];
+const SORT_ORDERS = ["id", "easiest", "hardest"];
+const MODAL_KEYS = ["compare", "transform"];
+
+export const DEFAULT_URL_STATE = {
+  view: "browse",
+  at: "",
+  q: "",
+  regex: false,
+  sort: "id",
+  technique: "",
+  ids: "",
+  puzzle: null,
+  compare: "",
+  transform: "",
+  viewdef: "",
+};
+
+function pick(value, allowed, fallback) {
+  return allowed.includes(value) ? value : fallback;
+}
+
+function legacyTransform(params) {
+  const steps = [];
+  const shift = params.get("shift");
+  if (shift && shift !== "0") steps.push(`shift ${shift}`);
+  ["relabel", "rows", "cols"].forEach((key) => {
+    if (params.get(key)) steps.push(`${key} ${params.get(key)}`);
+  });
+  const rotate = params.get("rotate");
+  if (["90", "180", "270"].includes(rotate)) steps.push(`rotate ${rotate}`);
+  if (params.get("transpose") === "1") steps.push("transpose");
+  const mirror = params.get("mirror");
+  if (mirror === "horizontal" || mirror === "vertical") {
+    steps.push(`mirror ${mirror}`);
+  }
+  return steps.join("; ");
+}
+
+export function readUrlState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const text = (key) => params.get(key) ?? DEFAULT_URL_STATE[key];
+
+  return {
+    view: /^[a-z0-9_]+$/.test(params.get("view") ?? "")
+      ? params.get("view")
+      : DEFAULT_URL_STATE.view,
+    at: text("at"),
+    q: text("q"),
+    regex: params.get("regex") === "1",
+    sort: pick(params.get("sort"), SORT_ORDERS, DEFAULT_URL_STATE.sort),
+    technique: text("technique"),
+    ids: text("ids"),
+    puzzle: params.get("puzzle") || null,
+    compare: text("compare"),
+    transform: params.get("transform") ?? legacyTransform(params),
+    viewdef: text("viewdef"),
+  };
+}
+
+export function buildUrlHash(state) {
+  const params = new URLSearchParams();
+  Object.entries(DEFAULT_URL_STATE).forEach(([key, fallback]) => {
+    const value = state[key];
+    if (value === fallback || value === null || value === undefined) return;
+    if (!state.puzzle && MODAL_KEYS.includes(key)) return;
+    params.set(key, typeof value === "boolean" ? "1" : String(value));
+  });
+
+  const query = params.toString();
+  return query ? `#${query}` : "";
+}
+
+export function historyKey(state) {
+  return `${state.view}|${state.puzzle ?? ""}`;
+}
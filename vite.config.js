@@ -1,8 +1,20 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import serviceWorker from "./scripts/service-worker-plugin.js";
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    serviceWorker({
+      source: "src/serviceWorker.js",
+      precache: [
+        "index.html",
+        "manifest.webmanifest",
+        "icon-192.png",
+        "icon-512.png",
+        "sudokus/index.json",
+      ],
+    }),
+  ],
   base: "/mrbeast_sudoku/",
 });
-